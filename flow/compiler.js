@@ -8,7 +8,9 @@ declare type CompilerOptions = {
   isReservedTag?: (tag: string) => ?boolean; // check if a tag is a native for the platform
   preserveWhitespace?: boolean; // preserve whitespace between elements? (Deprecated)
   whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
+  singleRoot?: boolean; // disallow multiple root elements (root instances)
   optimize?: boolean; // optimize static content?
+  patchFlags?: boolean; // emit patch flags and blocks (the platform patch must support them)
 
   // web specific
   mustUseProp?: (tag: string, type: ?string, name: string) => boolean; // check if an attribute should be bound as a property
@@ -115,11 +117,14 @@ declare type ASTElement = {
   staticInFor?: boolean;
   staticProcessed?: boolean;
   hasBindings?: boolean;
+  patchFlag?: number;
+  block?: true;
 
   text?: string;
   attrs?: Array<ASTAttr>;
   dynamicAttrs?: Array<ASTAttr>;
   props?: Array<ASTAttr>;
+  boundProps?: Array<string>;
   plain?: boolean;
   pre?: true;
   ns?: string;
@@ -136,6 +141,8 @@ declare type ASTElement = {
   ref?: string;
   refInFor?: boolean;
 
+  fragment?: true;
+
   if?: string;
   ifProcessed?: boolean;
   elseif?: string;
@@ -164,6 +171,13 @@ declare type ASTElement = {
     callback: string;
     expression: string;
   };
+  models?: Array<{
+    arg: string;
+    value: string;
+    callback: string;
+    expression: string;
+    modifiers?: string;
+  }>;
 
   directives?: Array<ASTDirective>;
 
@@ -186,6 +200,7 @@ declare type ASTExpression = {
   text: string;
   tokens: Array<string | Object>;
   static?: boolean;
+  patchFlag?: number;
   // 2.4 ssr optimization
   ssrOptimizability?: number;
   start?: number;
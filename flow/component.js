@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -41,7 +42,9 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
+  $onInvalidate: (key: string, fn: Function) => Function;
+  $recompute: (key: string) => any;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -59,8 +62,12 @@ declare interface Component {
   _watcher: Watcher;
   _watchers: Array<Watcher>;
   _computedWatchers: { [key: string]: Watcher };
+  _scope: EffectScope;
   _data: Object;
   _props: Object;
+  _setupState: ?Object;
+  _setupContext: ?Object;
+  _setupPromise: ?Promise<void>;
   _events: Object;
   _inactive: boolean | null;
   _directInactive: boolean;
@@ -132,6 +139,12 @@ declare interface Component {
   _k: (eventKeyCode: number, key: string, builtInAlias?: number | Array<number>, eventKeyName?: string) => ?boolean;
   // resolve scoped slots
   _u: (scopedSlots: ScopedSlotsData, res?: Object) => { [key: string]: Function };
+  // mark patch flag
+  _x: (vnode: VNode, flag: number, dynamicProps?: ?Array<string>, id?: number) => VNode;
+  // open block
+  _y: () => void;
+  // close block
+  _z: (vnode: VNode, flag: number, dynamicProps: ?Array<string>, id: number) => VNode;
 
   // SSR specific
   _ssrNode: Function;
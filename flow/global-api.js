@@ -9,7 +9,11 @@ declare interface GlobalAPI {
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
   use: (plugin: Function | Object) => GlobalAPI;
-  mixin: (mixin: Object) => GlobalAPI;
+  unuse: (plugin: Function | Object | string) => GlobalAPI;
+  installedPlugins: () => Array<Object>;
+  mixin: (mixin: Object, predicate?: Function) => GlobalAPI;
+  inspectMixins: (target: Component | Class<Component> | Object) => Object;
+  createApp: (rootOptions?: Object) => VueApp;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
 
   directive: (id: string, def?: Function | Object) => Function | Object | void;
@@ -18,6 +22,60 @@ declare interface GlobalAPI {
 
   observable: <T>(value: T) => T;
 
+  reactive: <T>(value: T) => T;
+  shallowReactive: <T>(value: T) => T;
+  readonly: <T>(value: T) => T;
+  shallowReadonly: <T>(value: T) => T;
+  isReactive: (value: any) => boolean;
+  isReadonly: (value: any) => boolean;
+  isShallow: (value: any) => boolean;
+  toRaw: <T>(value: T) => T;
+  ref: (value: any) => { value: any };
+  isRef: (value: any) => boolean;
+  unref: (value: any) => any;
+  computed: (getterOrOptions: Function | Object) => { value: any };
+  watchEffect: (effect: Function) => Function;
+  stop: (runner: any) => void;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+  getCurrentInstance: () => ?{ proxy: Component };
+  onBeforeMount: (fn: Function, target?: ?Component) => void;
+  onMounted: (fn: Function, target?: ?Component) => void;
+  onBeforeUpdate: (fn: Function, target?: ?Component) => void;
+  onUpdated: (fn: Function, target?: ?Component) => void;
+  onBeforeUnmount: (fn: Function, target?: ?Component) => void;
+  onUnmounted: (fn: Function, target?: ?Component) => void;
+  onActivated: (fn: Function, target?: ?Component) => void;
+  onDeactivated: (fn: Function, target?: ?Component) => void;
+  onErrorCaptured: (fn: Function, target?: ?Component) => void;
+  onRenderTracked: (fn: Function, target?: ?Component) => void;
+  onRenderTriggered: (fn: Function, target?: ?Component) => void;
+
   // allow dynamic method registration
   [key: string]: any
 };
+
+declare interface VueApp {
+  config: {
+    errorHandler: ?(err: Error, vm: Component, info: string) => void;
+    warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+    silent: boolean;
+    keyCodes: { [key: string]: number | Array<number> };
+    ignoredElements: Array<string | RegExp>;
+    optionMergeStrategies: { [key: string]: Function };
+    globalProperties: Object;
+  };
+  use: (plugin: Function | Object) => VueApp;
+  unuse: (plugin: Function | Object | string) => VueApp;
+  installedPlugins: () => Array<Object>;
+  mixin: (mixin: Object, predicate?: Function) => VueApp;
+  inspectMixins: (target: Component | Class<Component> | Object) => Object;
+  provide: (key: string | Symbol, value: any) => VueApp;
+  mount: (el?: string | Element, hydrating?: boolean) => Component;
+  unmount: () => void;
+  _provides: Object;
+
+  // component / directive / filter
+  [key: string]: any
+};
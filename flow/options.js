@@ -23,6 +23,7 @@ declare type ComponentOptions = {
     }
   };
   methods?: { [key: string]: Function };
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
   watch?: { [key: string]: Function | string };
 
   // DOM
@@ -55,6 +56,7 @@ declare type ComponentOptions = {
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
   inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
+  emits?: { [key: string]: ?Function } | Array<string>;
 
   // component v-model customization
   model?: {
@@ -79,7 +81,9 @@ declare type ComponentOptions = {
   _renderChildren?: ?Array<VNode>;
   _componentTag: ?string;
   _scopeId: ?string;
+  _teleport?: true;
   _base: Class<Component>;
+  _app?: VueApp;
 };
 
 declare type PropOptions = {
@@ -87,4 +91,8 @@ declare type PropOptions = {
   default: any;
   required: ?boolean;
   validator: ?Function;
+  oneOf?: Array<any>;
+  arrayOf?: any;
+  shape?: Object;
+  coerce?: Function;
 }
@@ -63,6 +63,12 @@ declare interface VNodeData {
     value: any;
     callback: Function;
   };
+  models?: Array<{
+    arg: string;
+    value: any;
+    callback: Function;
+    modifiers?: ASTModifiers;
+  }>;
 };
 
 declare type VNodeDirective = {
@@ -3,6 +3,7 @@
 import { genHandlers } from './events'
 import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
 
@@ -18,8 +19,10 @@ export class CodegenState {
   directives: { [key: string]: DirectiveFunction };
   maybeComponent: (el: ASTElement) => boolean;
   onceId: number;
+  patchId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  inBlock: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -32,8 +35,10 @@ export class CodegenState {
     const isReservedTag = options.isReservedTag || no
     this.maybeComponent = (el: ASTElement) => !!el.component || !isReservedTag(el.tag)
     this.onceId = 0
+    this.patchId = 0
     this.staticRenderFns = []
     this.pre = false
+    this.inBlock = false
   }
 }
 
@@ -49,7 +54,9 @@ export function generate (
   // 实例化一个class
   const state = new CodegenState(options)
   // 根据 ast 生成对应的 code ；没有的话就生成一个 div 的空 VNode
-  const code = ast ? genElement(ast, state) : '_c("div")'
+  const code = ast
+    ? ast.fragment ? genFragment(ast, state) : genElement(ast, state)
+    : '_c("div")'
   return {
     // 重点看返回值：render 属性就是用于 render 函数执行的代码；staticRenderFns 是 optimize 生成的 staticroot 相关代码
     render: `with(this){return ${code}}`,
@@ -57,6 +64,11 @@ export function generate (
   }
 }
 
+// 多根节点模板：渲染函数返回根节点数组
+function genFragment (el: ASTElement, state: CodegenState): string {
+  return `[${el.children.map(c => genElement((c: any), state)).join(',')}]`
+}
+
 export function genElement (el: ASTElement, state: CodegenState): string {
   if (el.parent) {
     el.pre = el.pre || el.parent.pre
@@ -77,6 +89,7 @@ export function genElement (el: ASTElement, state: CodegenState): string {
   } else {
     // component or element
     let code
+    const inBlock = state.inBlock
     if (el.component) {
       code = genComponent(el.component, el, state)
     } else {
@@ -87,7 +100,11 @@ export function genElement (el: ASTElement, state: CodegenState): string {
         data = genData(el, state)
       }
 
+      if (el.block) {
+        state.inBlock = true
+      }
       const children = el.inlineTemplate ? null : genChildren(el, state, true)
+      state.inBlock = inBlock
       // code 中主要调用了三个值：tag、data、children
       code = `_c(
         '${el.tag}'
@@ -99,8 +116,33 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
+    return genPatchFlag(el, code, inBlock, state)
+  }
+}
+
+// 块的根节点：_y 开始收集动态后代节点，_z 将其保存到 vnode.dynamicChildren；
+// 其他带补丁标记的节点通过 _x 标记。块外的节点还需要一个在本次编译内唯一的 id，
+// 运行时与生成它的 render 函数一起比较，只有由同一段模板生成的新旧节点才能按标记比对
+function genPatchFlag (
+  el: ASTElement,
+  code: string,
+  inBlock: boolean,
+  state: CodegenState
+): string {
+  const flag = el.patchFlag || 0
+  if (!flag && !el.block) {
     return code
   }
+  const dynamicProps = flag & PatchFlags.PROPS && el.boundProps
+    ? JSON.stringify(el.boundProps)
+    : null
+  if (el.block) {
+    return `(_y(),_z(${code},${flag},${String(dynamicProps)},${++state.patchId}))`
+  }
+  if (inBlock) {
+    return `_x(${code},${flag}${dynamicProps ? `,${dynamicProps}` : ''})`
+  }
+  return `_x(${code},${flag},${String(dynamicProps)},${++state.patchId})`
 }
 
 // hoist static sub-trees out
@@ -302,6 +344,16 @@ export function genData (el: ASTElement, state: CodegenState): string {
       el.model.expression
     }},`
   }
+  // component v-model:arg
+  if (el.models) {
+    data += `models:[${el.models.map(model =>
+      `{arg:${model.arg},value:${model.value},callback:${
+        model.callback
+      },expression:${model.expression}${
+        model.modifiers ? `,modifiers:${model.modifiers}` : ''
+      }}`
+    ).join(',')}],`
+  }
   // inline-template
   if (el.inlineTemplate) {
     const inlineTemplate = genInlineTemplate(el, state)
@@ -567,10 +619,12 @@ function genNode (node: ASTNode, state: CodegenState): string {
 
 // 直接根据传入的参数判断是否为 表达式节点 -> 返回 expression
 export function genText (text: ASTText | ASTExpression): string {
-  return `_v(${text.type === 2
+  const code = `_v(${text.type === 2
     ? text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
   })`
+  // 块中的动态文本节点
+  return text.patchFlag ? `_x(${code},${text.patchFlag})` : code
 }
 
 export function genComment (comment: ASTText): string {
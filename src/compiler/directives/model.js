@@ -1,12 +1,15 @@
 /* @flow */
 
+import { extend } from 'shared/util'
+
 /**
  * Cross-platform code generation for component v-model
  */
 export function genComponentModel (
   el: ASTElement,
   value: string,
-  modifiers: ?ASTModifiers
+  modifiers: ?ASTModifiers,
+  arg?: ?string
 ): ?boolean {
   const { number, trim } = modifiers || {}
 
@@ -23,11 +26,23 @@ export function genComponentModel (
   }
   const assignment = genAssignmentCode(value, valueExpression)
 
-  el.model = {
+  const model = {
     value: `(${value})`,
     expression: JSON.stringify(value),
     callback: `function (${baseValueExpression}) {${assignment}}`
   }
+  if (arg) {
+    // v-model:arg 绑定到名为 arg 的 prop 和 update:arg 事件，
+    // 修饰符以 <arg>Modifiers prop 的形式传给子组件
+    (el.models || (el.models = [])).push(extend(model, {
+      arg: JSON.stringify(arg),
+      modifiers: modifiers && Object.keys(modifiers).length
+        ? JSON.stringify(modifiers)
+        : undefined
+    }))
+  } else {
+    el.model = model
+  }
 }
 
 /**
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { makeMap, isBuiltInTag, cached, no } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 let isStaticKey
 let isPlatformReservedTag
@@ -26,6 +27,11 @@ export function optimize (root: ?ASTElement, options: CompilerOptions) {
   markStatic(root)
   // second pass: mark static roots. 标记静态根
   markStaticRoots(root, false)
+  // third pass: mark patch flags and block roots. 标记补丁标记和块
+  // 只有平台的 patch 能按标记比对时才标记（weex 等平台的节点操作不支持块）
+  if (options.patchFlags) {
+    markPatchFlags(root, false)
+  }
 }
 
 function genStaticKeys (keys: string): Function {
@@ -108,6 +114,129 @@ function markStaticRoots (node: ASTNode, isInFor: boolean) {
   }
 }
 
+/**
+ * Annotate non-static elements with the parts of their vnode data that
+ * can change (see PatchFlags), so that the patcher only runs the matching
+ * modules. An element whose whole subtree has a fixed structure becomes a
+ * block root: its dynamic descendants are collected into a flat list at
+ * render time and patched directly, skipping the static structure.
+ */
+function markPatchFlags (el: ASTElement, inBlock: boolean) {
+  if (el.static || el.once || el.fragment) {
+    if (el.fragment) {
+      el.children.forEach(child => markPatchFlags((child: any), false))
+    }
+    return
+  }
+  el.patchFlag = getPatchFlag(el)
+  if (!inBlock && isBlockRoot(el)) {
+    el.block = true
+    inBlock = true
+  }
+  // 与 markStatic 一致：组件的插槽内容不做处理
+  if (
+    !isPlatformReservedTag(el.tag) &&
+    el.tag !== 'slot' &&
+    el.attrsMap['inline-template'] == null
+  ) {
+    return
+  }
+  for (let i = 0, l = el.children.length; i < l; i++) {
+    const child = el.children[i]
+    if (child.type === 1) {
+      markPatchFlags(child, inBlock)
+    } else if (child.type === 2 && inBlock && !(el.patchFlag & PatchFlags.TEXT)) {
+      // 块中与元素并列的动态文本节点需要单独收集
+      child.patchFlag = PatchFlags.TEXT
+    }
+  }
+  if (el.ifConditions) {
+    for (let i = 1, l = el.ifConditions.length; i < l; i++) {
+      markPatchFlags(el.ifConditions[i].block, inBlock)
+    }
+  }
+}
+
+// 能够由编译器完整描述的原生元素
+function isPlainElement (el: ASTElement): boolean {
+  return isPlatformReservedTag(el.tag) &&
+    !el.component &&
+    el.tag !== 'slot' &&
+    el.tag !== 'template' &&
+    !el.once
+}
+
+// 数据中没有编译期无法确定的部分：指令、ref、动态属性名、v-bind/v-on 对象语法
+function hasPredictableData (el: ASTElement): boolean {
+  return isPlainElement(el) &&
+    !el.ref &&
+    !el.directives &&
+    !el.dynamicAttrs &&
+    !el.wrapData &&
+    !el.wrapListeners &&
+    !(el.props && el.props.some(prop => prop.dynamic)) &&
+    !hasDynamicEvents(el.events)
+}
+
+function hasDynamicEvents (events: ?ASTElementHandlers): boolean {
+  if (!events) {
+    return false
+  }
+  for (const name in events) {
+    const handler: any = events[name]
+    if (Array.isArray(handler) ? handler.some(h => h.dynamic) : handler.dynamic) {
+      return true
+    }
+  }
+  return false
+}
+
+function getPatchFlag (el: ASTElement): number {
+  if (!hasPredictableData(el)) {
+    return 0
+  }
+  let flag = 0
+  if (el.children.length === 1 && el.children[0].type === 2) {
+    flag |= PatchFlags.TEXT
+  }
+  if (el.classBinding) {
+    flag |= PatchFlags.CLASS
+  }
+  if (el.styleBinding) {
+    flag |= PatchFlags.STYLE
+  }
+  if (el.boundProps) {
+    flag |= PatchFlags.PROPS
+  }
+  if (el.events) {
+    flag |= PatchFlags.EVENTS
+  }
+  return flag
+}
+
+// 块内节点的结构必须固定：不能有 v-if / v-for / key，也不能是组件或插槽
+function canBeInBlock (node: ASTNode): boolean {
+  if (node.type !== 1) {
+    return true
+  }
+  return hasPredictableData(node) &&
+    !node.if &&
+    !node.for &&
+    node.key === undefined &&
+    !node.slotTarget &&
+    node.children.every(canBeInBlock)
+}
+
+function isBlockRoot (el: ASTElement): boolean {
+  const children = el.children
+  return isPlainElement(el) &&
+    children.length > 0 &&
+    // 只有一个动态文本子节点时，TEXT 标记已经足够
+    !(children.length === 1 && children[0].type === 2) &&
+    children.some(child => child.type === 2 || (child.type === 1 && !child.static)) &&
+    children.every(canBeInBlock)
+}
+
 function isStatic (node: ASTNode): boolean {
   // 对 ast 节点类型进行判断
   if (node.type === 2) { // expression 表达式
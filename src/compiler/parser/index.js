@@ -103,7 +103,10 @@ export function parse (
   const stack = []
   const preserveWhitespace = options.preserveWhitespace !== false
   const whitespaceOption = options.whitespace
+  // 根实例只能有一个根节点，组件模版的多个根节点渲染为片段
+  const singleRoot = options.singleRoot
   let root
+  const roots = []
   let currentParent
   let inVPre = false
   let inPre = false
@@ -123,22 +126,39 @@ export function parse (
     }
     // tree management
     if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
+      const prev = roots[roots.length - 1]
+      if (prev.if && (element.elseif || element.else)) {
+        // allow root elements with v-if, v-else-if and v-else
         if (process.env.NODE_ENV !== 'production') {
           checkRootConstraints(element)
         }
-        addIfCondition(root, {
+        addIfCondition(prev, {
           exp: element.elseif,
           block: element
         })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else if (singleRoot) {
+        if (process.env.NODE_ENV !== 'production') {
+          warnOnce(
+            `Component template should contain exactly one root element. ` +
+            `If you are using v-if on multiple elements, ` +
+            `use v-else-if to chain them instead.`,
+            { start: element.start }
+          )
+        }
+      } else if (element.elseif || element.else) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `v-${element.elseif ? ('else-if="' + element.elseif + '"') : 'else'} ` +
+            `used on element <${element.tag}> without corresponding v-if.`,
+            element.rawAttrsMap[element.elseif ? 'v-else-if' : 'v-else']
+          )
+        }
+      } else {
+        // multiple root elements are rendered as a fragment
+        if (process.env.NODE_ENV !== 'production') {
+          checkRootConstraints(element)
+        }
+        roots.push(element)
       }
     }
     // 至少是第二次进入 start 逻辑，所以存在 currentParent
@@ -201,7 +221,7 @@ export function parse (
         { start: el.start }
       )
     }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
+    if (singleRoot && el.attrsMap.hasOwnProperty('v-for')) {
       warnOnce(
         'Cannot use v-for on stateful component root element because ' +
         'it renders multiple elements.',
@@ -310,6 +330,7 @@ export function parse (
       // 确保根节点只有一个
       if (!root) {
         root = element
+        roots.push(root)
         if (process.env.NODE_ENV !== 'production') {
           checkRootConstraints(root)
         }
@@ -452,7 +473,17 @@ export function parse (
       }
     }
   })
-  return root
+  return roots.length > 1
+    ? createFragment(roots)
+    : root
+}
+
+// 多个根节点时用片段节点包裹，生成的渲染函数返回根节点数组
+function createFragment (roots: Array<ASTElement>): ASTElement {
+  const fragment = createASTElement('template', [], undefined)
+  fragment.fragment = true
+  fragment.children = roots
+  return fragment
 }
 
 function processPre (el) {
@@ -914,6 +945,10 @@ function processAttrs (el) {
         } else {
           addAttr(el, name, value, list[i], isDynamic)
         }
+        if (!isDynamic) {
+          // 记录绑定的属性名，optimizer 据此生成 PROPS 补丁标记
+          (el.boundProps || (el.boundProps = [])).push(name)
+        }
       } else if (onRE.test(name)) { 
     // 特殊处理：v-on
         name = name.replace(onRE, '')
@@ -938,7 +973,7 @@ function processAttrs (el) {
         }
         addDirective(el, name, rawName, value, arg, isDynamic, modifiers, list[i])
         if (process.env.NODE_ENV !== 'production' && name === 'model') {
-          checkForAliasModel(el, value)
+          checkForAliasModel(el, value, rawName)
         }
       }
     } else {
@@ -1035,17 +1070,17 @@ function guardIESVGBug (attrs) {
   return res
 }
 
-function checkForAliasModel (el, value) {
+function checkForAliasModel (el, value, rawName) {
   let _el = el
   while (_el) {
     if (_el.for && _el.alias === value) {
       warn(
-        `<${el.tag} v-model="${value}">: ` +
+        `<${el.tag} ${rawName}="${value}">: ` +
         `You are binding v-model directly to a v-for iteration alias. ` +
         `This will not be able to modify the v-for source array because ` +
         `writing to the alias is like modifying a function local variable. ` +
         `Consider using an array of objects and use v-model on an object property instead.`,
-        el.rawAttrsMap['v-model']
+        el.rawAttrsMap[rawName]
       )
     }
     _el = _el.parent
@@ -19,7 +19,9 @@ function createFunction (code, errors) {
 }
 
 export function createCompileToFunctionFn (compile: Function): Function {
-  const cache = Object.create(null)
+  const componentCache = Object.create(null)
+  // 根实例的模版不允许多个根节点，编译结果和组件模版分开缓存
+  const singleRootCache = Object.create(null)
 
   /**
    * 参数解析：
@@ -64,6 +66,7 @@ export function createCompileToFunctionFn (compile: Function): Function {
     const key = options.delimiters
       ? String(options.delimiters) + template
       : template
+    const cache = options.singleRoot ? singleRootCache : componentCache
     if (cache[key]) {
       return cache[key]
     }
@@ -0,0 +1,71 @@
+/* @flow */
+
+import { warn, globalHandleError } from '../util/index'
+
+function getSingleRoot (vnodes: ?Array<VNode>, vm: Component): ?VNode {
+  if (!vnodes) return
+  // 忽略空白文本节点
+  const children = vnodes.filter(c => c.tag || (c.text && c.text.trim()))
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      `<error-boundary> can only be used on a single element. ` +
+      `Use the "tag" prop to render multiple children.`,
+      vm
+    )
+  }
+  return children[0]
+}
+
+/**
+ * Catches errors thrown by descendants (render functions, lifecycle
+ * hooks, watchers and event handlers, including rejected promises
+ * returned from them) and replaces its content with the `fallback`
+ * scoped slot, which receives `{ error, info, reset }`. Captured errors
+ * don't propagate to ancestors but are still reported through
+ * `config.errorHandler`.
+ */
+export default {
+  name: 'error-boundary',
+
+  props: {
+    tag: String
+  },
+
+  data () {
+    return {
+      error: null,
+      info: ''
+    }
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    this.error = err
+    this.info = info
+    globalHandleError(err, vm, info)
+    return false
+  },
+
+  methods: {
+    reset () {
+      this.error = null
+      this.info = ''
+    }
+  },
+
+  render (h: Function) {
+    let children
+    if (this.error) {
+      const fallback = this.$scopedSlots.fallback
+      children = fallback && fallback({
+        error: this.error,
+        info: this.info,
+        reset: this.reset
+      })
+    } else {
+      children = this.$slots.default
+    }
+    return this.tag
+      ? h(this.tag, children)
+      : getSingleRoot(children, this)
+  }
+}
@@ -0,0 +1,205 @@
+/* @flow */
+
+import { extend, nextTick, remove } from '../util/index'
+import { whenAsyncComponentSettled } from '../vdom/helpers/index'
+import { cloneVNode, createFragmentVNode } from '../vdom/vnode'
+
+const hiddenStyle = { display: 'none' }
+
+function isSuspense (vm: Component): boolean {
+  return vm.$options.render === Suspense.render
+}
+
+// 收集子树中还未完成的异步组件和 async setup()，
+// 嵌套的 <suspense> 自己负责其子树
+function collectDeps (vnode: ?VNode, deps: Array<any>) {
+  if (!vnode) return
+  if (vnode.asyncFactory) {
+    deps.push(vnode.asyncFactory)
+  }
+  const child = vnode.componentInstance
+  if (child) {
+    if (isSuspense(child)) return
+    if (child._setupPromise) {
+      deps.push(child._setupPromise)
+    }
+    collectDeps(child._vnode, deps)
+  }
+  const children = vnode.children
+  if (children) {
+    for (let i = 0; i < children.length; i++) {
+      collectDeps(children[i], deps)
+    }
+  }
+}
+
+// 等待期间默认内容保持挂载但隐藏：元素和组件节点加上 display: none，
+// 纯文本节点无法隐藏，直接不渲染
+function hideContent (nodes: Array<VNode>): Array<VNode> {
+  const res = []
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i]
+    if (node.tag) {
+      const clone = cloneVNode(node)
+      const data = clone.data = extend({}, node.data)
+      // 比对样式时会把动态样式合并进 staticStyle，不能与原节点共用
+      if (data.staticStyle) {
+        data.staticStyle = extend({}, data.staticStyle)
+      }
+      const style = data.style
+      data.style = typeof style === 'string'
+        ? `${style};display:none`
+        : Array.isArray(style) ? style.concat(hiddenStyle) : [style, hiddenStyle]
+      // 静态节点在 patch 时会被直接复用，需要让样式的变化生效
+      clone.isStatic = false
+      res.push(clone)
+    } else if (node.isComment) {
+      // 异步组件的占位节点
+      res.push(node)
+    }
+  }
+  return res
+}
+
+/**
+ * Coordinates async components and async setup() in its default slot:
+ * while any of them is pending the default content stays mounted but
+ * hidden, and the `fallback` slot is shown instead (after `timeout` ms
+ * if given). The default content is re-checked whenever <suspense>
+ * re-renders and whenever one of its pending dependencies settles.
+ * Emits `pending`, `fallback` and `resolve`.
+ *
+ * <suspense> is abstract and renders its slots as a fragment without a
+ * wrapper element. Async data is tracked through async setup(); the
+ * `serverPrefetch` hook only runs during SSR, where the renderer already
+ * waits for it before rendering the content.
+ */
+const Suspense = {
+  name: 'suspense',
+  abstract: true,
+
+  props: {
+    timeout: [String, Number]
+  },
+
+  data () {
+    return {
+      showFallback: false
+    }
+  },
+
+  created () {
+    this.pending = false
+    this.contentCount = 0
+    this.watchedDeps = []
+    this.fallbackTimer = null
+  },
+
+  mounted () {
+    this.checkDeps()
+    if (!this.pending) {
+      this.$emit('resolve')
+    }
+  },
+
+  updated () {
+    this.checkDeps()
+  },
+
+  beforeDestroy () {
+    this.clearFallbackTimer()
+  },
+
+  methods: {
+    checkDeps () {
+      const deps = []
+      // 片段的前 contentCount 个子节点是默认内容，其后是 fallback
+      const root = this._vnode
+      if (root && root.isFragment) {
+        for (let i = 0; i < this.contentCount; i++) {
+          collectDeps(root.children[i], deps)
+        }
+      }
+      let pendingCount = 0
+      for (let i = 0; i < deps.length; i++) {
+        if (this.watchDep(deps[i])) {
+          pendingCount++
+        }
+      }
+      if (pendingCount) {
+        if (!this.pending) {
+          this.pending = true
+          this.$emit('pending')
+          this.scheduleFallback()
+        }
+      } else if (this.pending) {
+        this.pending = false
+        this.clearFallbackTimer()
+        this.showFallback = false
+        this.$emit('resolve')
+      }
+    },
+
+    // 返回依赖是否仍在等待中
+    watchDep (dep: any): boolean {
+      const watched = this.watchedDeps
+      if (watched.indexOf(dep) > -1) {
+        return true
+      }
+      const settled = () => {
+        remove(watched, dep)
+        // 等待 owner 的重新渲染完成后再检查
+        nextTick(() => {
+          if (!this._isDestroyed) {
+            this.checkDeps()
+          }
+        })
+      }
+      if (typeof dep === 'function') {
+        if (!whenAsyncComponentSettled(dep, settled)) {
+          return false
+        }
+      } else {
+        dep.then(settled)
+      }
+      watched.push(dep)
+      return true
+    },
+
+    scheduleFallback () {
+      const timeout = Number(this.timeout)
+      const show = () => {
+        this.fallbackTimer = null
+        this.showFallback = true
+        this.$emit('fallback')
+      }
+      if (timeout > 0) {
+        this.fallbackTimer = setTimeout(show, timeout)
+      } else {
+        show()
+      }
+    },
+
+    clearFallbackTimer () {
+      if (this.fallbackTimer !== null) {
+        clearTimeout(this.fallbackTimer)
+        this.fallbackTimer = null
+      }
+    }
+  },
+
+  render () {
+    let content = this.$slots.default || []
+    let fallback
+    if (this.showFallback) {
+      content = hideContent(content)
+      const fallbackSlot = this.$scopedSlots.fallback
+      fallback = fallbackSlot && fallbackSlot()
+    }
+    this.contentCount = content.length
+    // 始终渲染为片段，显示或隐藏 fallback 时默认内容不会被重新创建
+    return createFragmentVNode(fallback ? content.concat(fallback) : content.slice())
+  }
+}
+
+export default Suspense
@@ -8,6 +8,11 @@ import {
 
 import { LIFECYCLE_HOOKS } from 'shared/constants'
 
+import type {
+  SchedulerLoopReport,
+  SchedulerFlushInfo
+} from './observer/scheduler'
+
 export type Config = {
   // user
   optionMergeStrategies: { [key: string]: Function };
@@ -19,6 +24,13 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  proxyArrays: boolean;
+  proxyObjects: boolean;
+  scheduler: {
+    maxUpdateCount: number;
+    onInfiniteLoop: ?(report: SchedulerLoopReport) => void;
+    onFlush: ?(info: SchedulerFlushInfo) => void;
+  };
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -83,6 +95,31 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * Observe arrays with a Proxy (where supported) so that index
+   * assignment and length changes are reactive. Only affects arrays
+   * observed after the option is set.
+   */
+  proxyArrays: false,
+
+  /**
+   * Observe plain objects with a Proxy (where supported) so that adding
+   * or deleting properties is reactive without Vue.set / Vue.delete.
+   */
+  proxyObjects: false,
+
+  /**
+   * Scheduler options: the number of times a watcher may re-run in a
+   * single flush before it is considered an infinite loop, a handler
+   * receiving a report of the loop (also called in production), and a
+   * hook called after each flush with its timing.
+   */
+  scheduler: {
+    maxUpdateCount: 100,
+    onInfiniteLoop: null,
+    onFlush: null
+  },
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -0,0 +1,149 @@
+/* @flow */
+
+import config from '../config'
+import { ASSET_TYPES } from 'shared/constants'
+import { warn, toArray, extend } from '../util/index'
+import { installPlugin, uninstallPlugin, getInstalledPlugins } from './use'
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an isolated application. The app owns a base constructor
+   * extended from Vue: plain-object components of the app are extended
+   * from it (through `_base`), so its registrations, mixins and global
+   * properties are resolved through the options chain of the app's
+   * components only, and never touch Vue.options. The global options
+   * are copied when the app is created, later global registrations and
+   * mixins don't reach the app.
+   * Plugins are installed with the app itself, which also exposes the
+   * constructor API Vue 2 plugins rely on (`prototype`, `options`,
+   * `extend`, `util`, `observable`...), backed by the app's constructor.
+   * The app config holds the error and warn handlers, and copies of the
+   * global `silent`, `keyCodes`, `ignoredElements` and
+   * `optionMergeStrategies` taken when the app is created. The other
+   * Vue.config keys (devtools, performance, async, scheduler, proxy and
+   * platform options) stay global.
+   */
+  Vue.createApp = function (rootOptions?: Object): VueApp {
+    const AppCtor = createAppCtor(this)
+    const provides = Object.create(null)
+    const installedPlugins = []
+    let instance = null
+
+    const app: VueApp = {
+      config: {
+        errorHandler: null,
+        warnHandler: null,
+        silent: config.silent,
+        keyCodes: extend(Object.create(null), config.keyCodes),
+        ignoredElements: config.ignoredElements.slice(),
+        optionMergeStrategies: extend(Object.create(null), config.optionMergeStrategies),
+        // 应用内所有实例共享的原型
+        globalProperties: AppCtor.prototype
+      },
+
+      use (plugin: Function | Object) {
+        installPlugin(app, installedPlugins, plugin, toArray(arguments, 1))
+        return app
+      },
+
+      unuse (plugin: Function | Object | string) {
+        uninstallPlugin(app, installedPlugins, plugin)
+        return app
+      },
+
+      installedPlugins () {
+        return getInstalledPlugins(installedPlugins)
+      },
+
+      mixin (mixin: Object, predicate?: Function) {
+        AppCtor.mixin(mixin, predicate)
+        return app
+      },
+
+      inspectMixins (target: Component | Class<Component> | Object) {
+        return AppCtor.inspectMixins(target)
+      },
+
+      provide (key: string | Symbol, value: any) {
+        provides[(key: any)] = value
+        return app
+      },
+
+      mount (el?: string | Element, hydrating?: boolean): Component {
+        if (instance) {
+          process.env.NODE_ENV !== 'production' && warn(
+            'The app has already been mounted. Create a new app to mount ' +
+            'another instance.'
+          )
+          return instance
+        }
+        instance = new AppCtor(rootOptions)
+        return instance.$mount(el, hydrating)
+      },
+
+      unmount () {
+        if (!instance) {
+          process.env.NODE_ENV !== 'production' && warn(
+            'Cannot unmount an app that is not mounted.'
+          )
+          return
+        }
+        const vm = instance
+        const el = vm.$el
+        instance = null
+        vm.$destroy()
+        if (el && el.parentNode) {
+          el.parentNode.removeChild(el)
+        }
+      },
+
+      _provides: provides
+    }
+
+    // 兼容把安装目标当作 Vue 构造器使用的插件，修改的都是应用自己的构造器
+    app.prototype = AppCtor.prototype
+    app.options = AppCtor.options
+    app.extend = (extendOptions: Object) => AppCtor.extend(extendOptions)
+    app.util = this.util
+    app.version = this.version
+    app.set = this.set
+    app.delete = this.delete
+    app.nextTick = this.nextTick
+    app.observable = this.observable
+
+    // 与 Vue.component 等相同：只传 id 时返回已注册的定义，注册时返回 app 以便链式调用
+    ASSET_TYPES.forEach(type => {
+      app[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return AppCtor[type](id)
+        }
+        AppCtor[type](id, definition)
+        return app
+      }
+    })
+
+    // 应用内的组件以 AppCtor 为基础构造器，并通过 _app 找到所属的应用
+    AppCtor.options._base = AppCtor
+    AppCtor.options._app = app
+    return app
+  }
+}
+
+function createAppCtor (Base: Function): Function {
+  const AppCtor = Base.extend({})
+  // 断开与 Base 的选项链：注册的资源不再从 Base.options 的原型上查找，
+  // 没有 super 时也不会在 Base.options 变化后重新合并选项
+  ASSET_TYPES.forEach(type => {
+    const key = type + 's'
+    AppCtor.options[key] = extend(Object.create(null), AppCtor.options[key])
+  })
+  delete AppCtor.super
+  // 已经合并进来的全局 mixin 仍然供 inspectMixins 追溯
+  if (Base._mixins) {
+    AppCtor._mixins = Base._mixins.slice()
+  }
+  if (Base._scopedMixins) {
+    AppCtor._scopedMixins = Base._scopedMixins.slice()
+  }
+  return AppCtor
+}
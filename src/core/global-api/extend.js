@@ -74,7 +74,10 @@ export function initExtend (Vue: GlobalAPI) {
     // 将Vue的函数赋值给Sub
     Sub.extend = Super.extend
     Sub.mixin = Super.mixin
+    Sub.inspectMixins = Super.inspectMixins
     Sub.use = Super.use
+    Sub.unuse = Super.unuse
+    Sub.installedPlugins = Super.installedPlugins
 
     // create asset registers, so extended classes
     // can have their private assets too.
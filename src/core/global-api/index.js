@@ -5,10 +5,38 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initCreateApp } from './app'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReactive,
+  isReadonly,
+  isShallow,
+  toRaw
+} from '../observer/reactive'
+import { ref, isRef, unref } from '../observer/ref'
+import { computed, watchEffect, stop } from '../observer/effect'
+import { effectScope, getCurrentScope, onScopeDispose } from '../observer/effect-scope'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/setup'
 
 import {
   warn,
@@ -53,6 +81,39 @@ export function initGlobalAPI (Vue: GlobalAPI) {
     return obj
   }
 
+  // standalone reactivity API, usable outside of component instances
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.shallowReadonly = shallowReadonly
+  Vue.isReactive = isReactive
+  Vue.isReadonly = isReadonly
+  Vue.isShallow = isShallow
+  Vue.toRaw = toRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watchEffect = watchEffect
+  Vue.stop = stop
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  // composition API, usable inside the setup() option
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     // ASSET_TYPES = ['component','directive','filter']
@@ -72,4 +133,5 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   initMixin(Vue)
   initExtend(Vue)
   initAssetRegisters(Vue)
+  initCreateApp(Vue)
 }
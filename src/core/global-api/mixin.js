@@ -1,10 +1,38 @@
 /* @flow */
 
-import { mergeOptions } from '../util/index'
+import { warn, mergeOptions } from '../util/index'
+import { inspectMixins } from '../util/mixins'
 
 export function initMixin (Vue: GlobalAPI) {
-  Vue.mixin = function (mixin: Object) {
+  /**
+   * Without a predicate the mixin is merged into the constructor options
+   * and applies to every component. With a predicate it is only merged
+   * into instances whose `{ name, file, tag }` match; such mixins are
+   * applied per instance, so props they declare only receive defaults.
+   * They are merged below every other source, global mixins included:
+   * their hooks run first and their other options have the lowest
+   * priority, which is also where inspectMixins reports them.
+   */
+  Vue.mixin = function (mixin: Object, predicate?: Function) {
+    if (predicate) {
+      if (typeof predicate !== 'function') {
+        process.env.NODE_ENV !== 'production' && warn(
+          `Invalid mixin predicate: expected a function, got ${typeof predicate}.`
+        )
+        return this
+      }
+      const scoped = this._scopedMixins || (this._scopedMixins = [])
+      scoped.push({ mixin, predicate })
+      return this
+    }
     this.options = mergeOptions(this.options, mixin)
+    // 记录下来供 inspectMixins 追溯选项来源
+    const mixins = this._mixins || (this._mixins = [])
+    mixins.push(mixin)
     return this
   }
+
+  Vue.inspectMixins = function (target: Component | Class<Component> | Object) {
+    return inspectMixins(this, target)
+  }
 }
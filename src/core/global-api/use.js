@@ -1,23 +1,135 @@
 /* @flow */
 
-import { toArray } from '../util/index'
+import { warn, toArray } from '../util/index'
+
+export type PluginRecord = {
+  plugin: Function | Object;
+  name: ?string;
+  options: any;
+  args: Array<any>;
+};
 
 export function initUse (Vue: GlobalAPI) {
   Vue.use = function (plugin: Function | Object) {
     const installedPlugins = (this._installedPlugins || (this._installedPlugins = []))
-    if (installedPlugins.indexOf(plugin) > -1) {
-      return this
+    installPlugin(this, installedPlugins, plugin, toArray(arguments, 1))
+    return this
+  }
+
+  /**
+   * Uninstall a plugin (or the plugin with the given name), calling its
+   * optional `uninstall` hook with the same arguments as `install`.
+   */
+  Vue.unuse = function (plugin: Function | Object | string) {
+    uninstallPlugin(this, this._installedPlugins || [], plugin)
+    return this
+  }
+
+  Vue.installedPlugins = function (): Array<PluginRecord> {
+    return getInstalledPlugins(this._installedPlugins || [])
+  }
+}
+
+function findPlugin (
+  records: Array<PluginRecord>,
+  plugin: Function | Object | string
+): ?PluginRecord {
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    if (record.plugin === plugin || (typeof plugin === 'string' && record.name === plugin)) {
+      return record
     }
+  }
+}
+
+// 只有带 install 的插件才读取 name，普通函数插件的 name 只是函数名
+function getPluginName (plugin: Function | Object): ?string {
+  const name = typeof plugin.install === 'function' && plugin.name
+  return typeof name === 'string' && name ? name : null
+}
 
-    // additional parameters
-    const args = toArray(arguments, 1)
-    args.unshift(this)
-    if (typeof plugin.install === 'function') {
-      plugin.install.apply(plugin, args)
-    } else if (typeof plugin === 'function') {
-      plugin.apply(null, args)
+/**
+ * Shared by Vue.use and app.use: `host` is passed to the plugin, `records`
+ * holds the plugins installed on it.
+ * Installing a plugin that is already installed does nothing and keeps
+ * its options; uninstall it first to install it with other options.
+ * A name clash or a missing dependency throws, since the plugin could not
+ * work without it.
+ */
+export function installPlugin (
+  host: any,
+  records: Array<PluginRecord>,
+  plugin: Function | Object,
+  args: Array<any>
+) {
+  if (findPlugin(records, plugin)) {
+    return
+  }
+  const name = getPluginName(plugin)
+  if (name && findPlugin(records, name)) {
+    throw new Error(
+      `Failed to install plugin "${name}": a different plugin with the ` +
+      `same name is already installed.`
+    )
+  }
+  // 依赖按名称查找，必须先于当前插件安装
+  const dependencies = plugin.dependencies
+  if (Array.isArray(dependencies)) {
+    for (let i = 0; i < dependencies.length; i++) {
+      if (!findPlugin(records, dependencies[i])) {
+        throw new Error(
+          `Failed to install plugin "${name || 'anonymous'}": it requires ` +
+          `plugin "${dependencies[i]}", which is not installed. ` +
+          `Install "${dependencies[i]}" first.`
+        )
+      }
     }
-    installedPlugins.push(plugin)
-    return this
   }
+
+  // additional parameters
+  const installArgs = [host].concat(args)
+  if (typeof plugin.install === 'function') {
+    plugin.install.apply(plugin, installArgs)
+  } else if (typeof plugin === 'function') {
+    plugin.apply(null, installArgs)
+  }
+  records.push({ plugin, name, options: args[0], args })
+}
+
+export function uninstallPlugin (
+  host: any,
+  records: Array<PluginRecord>,
+  plugin: Function | Object | string
+) {
+  const record = findPlugin(records, plugin)
+  if (!record) {
+    return
+  }
+  const name = record.name
+  if (name) {
+    for (let i = 0; i < records.length; i++) {
+      const dependencies = records[i].plugin.dependencies
+      if (Array.isArray(dependencies) && dependencies.indexOf(name) > -1) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `Failed to uninstall plugin "${name}": plugin ` +
+          `"${records[i].name || 'anonymous'}" depends on it. Uninstall it first.`
+        )
+        return
+      }
+    }
+  }
+  const uninstall = record.plugin.uninstall
+  if (typeof uninstall === 'function') {
+    uninstall.apply(record.plugin, [host].concat(record.args))
+  }
+  records.splice(records.indexOf(record), 1)
+}
+
+export function getInstalledPlugins (records: Array<PluginRecord>): Array<PluginRecord> {
+  return records.map(record => ({
+    plugin: record.plugin,
+    name: record.name,
+    options: record.options,
+    args: record.args.slice()
+  }))
 }
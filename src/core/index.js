@@ -24,4 +24,37 @@ Object.defineProperty(Vue, 'FunctionalRenderContext', {
 
 Vue.version = '__VERSION__'
 
+export {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReactive,
+  isReadonly,
+  isShallow,
+  toRaw
+} from './observer/reactive'
+export { ref, isRef, unref } from './observer/ref'
+export { computed, watchEffect, stop } from './observer/effect'
+export {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from './observer/effect-scope'
+export {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onRenderTracked,
+  onRenderTriggered
+} from './instance/setup'
+
 export default Vue
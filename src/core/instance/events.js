@@ -2,8 +2,12 @@
 
 import {
   tip,
+  warn,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
+  emptyObject,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
@@ -19,6 +23,34 @@ export function initEvents (vm: Component) {
   }
 }
 
+/**
+ * Whether an event is declared in the (normalized) emits option.
+ * Both camelCase and kebab-case spellings match the declaration.
+ */
+export function isDeclaredEvent (emits: Object, event: string): boolean {
+  return hasOwn(emits, event) ||
+    hasOwn(emits, camelize(event)) ||
+    hasOwn(emits, hyphenate(event))
+}
+
+/**
+ * Listeners exposed as `$listeners`. Events declared in the emits option
+ * are handled by the component itself, so they don't fall through.
+ */
+export function resolveFallthroughListeners (vm: Component, listeners: ?Object): Object {
+  const emits = vm.$options.emits
+  if (!listeners || !emits) {
+    return listeners || emptyObject
+  }
+  const res = {}
+  for (const key in listeners) {
+    if (!isDeclaredEvent(emits, key)) {
+      res[key] = listeners[key]
+    }
+  }
+  return res
+}
+
 let target: any
 
 function add (event, fn) {
@@ -128,6 +160,25 @@ export function eventsMixin (Vue: Class<Component>) {
           `You should probably use "${hyphenate(event)}" instead of "${event}".`
         )
       }
+      const emits = vm.$options.emits
+      // hook: 事件是内部的生命周期事件，不需要声明
+      if (emits && !/^hook:/.test(event)) {
+        if (!isDeclaredEvent(emits, event)) {
+          warn(
+            `Component emitted event "${event}" but it is not declared ` +
+            `in the emits option.`,
+            vm
+          )
+        } else {
+          const validator = emits[event] || emits[camelize(event)] || emits[hyphenate(event)]
+          if (validator && !validator.apply(null, toArray(arguments, 1))) {
+            warn(
+              `Invalid event arguments: event validation failed for event "${event}".`,
+              vm
+            )
+          }
+        }
+      }
     }
     // 拿到对应事件名的 cal lback 函数进行执行
     let cbs = vm._events[event]
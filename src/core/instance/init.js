@@ -9,7 +9,9 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { EffectScope, activeEffectScope, onScopeDispose } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
+import { resolveScopedMixins } from '../util/mixins'
 
 let uid = 0
 
@@ -29,6 +31,9 @@ export function initMixin (Vue: Class<Component>) {
 
     // a flag to avoid this being observed
     vm._isVue = true
+    // effect scope collecting all watchers of this instance, stopped on $destroy
+    vm._scope = new EffectScope(true /* detached */)
+    vm._scope._vm = true
     // merge options
     // 合并配置
     if (options && options._isComponent) {
@@ -46,6 +51,12 @@ export function initMixin (Vue: Class<Component>) {
         vm
       )
     }
+    // 匹配的作用域 mixin 按实例合并，位于所有选项来源（包括全局 mixin）之下：
+    // 钩子最先执行，其他选项优先级最低，与 inspectMixins 报告的顺序一致
+    const scopedMixins = resolveScopedMixins(vm.constructor, vm.$options)
+    if (scopedMixins) {
+      vm.$options = mergeOptions(scopedMixins, vm.$options, vm)
+    }
     /* istanbul ignore else */
     if (process.env.NODE_ENV !== 'production') {
       // 如果是开发环境
@@ -56,6 +67,11 @@ export function initMixin (Vue: Class<Component>) {
     }
     // expose real self
     vm._self = vm
+    // a root instance created inside an active effect scope (e.g. an event
+    // bus or a store) is destroyed together with that scope
+    if (activeEffectScope && !activeEffectScope._vm && !vm.$options.parent) {
+      onScopeDispose(() => vm.$destroy())
+    }
     // 找到父子关系
     initLifecycle(vm)  // 初始化$parent,$root,$refs,$children
     // 初始化事件中⼼
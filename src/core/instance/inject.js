@@ -1,38 +1,116 @@
 /* @flow */
 
+import Watcher from '../observer/watcher'
+import { pushTarget, popTarget } from '../observer/dep'
 import { hasOwn } from 'shared/util'
-import { warn, hasSymbol } from '../util/index'
+import { warn, isObject, hasSymbol, isServerRendering } from '../util/index'
 import { defineReactive, toggleObserving } from '../observer/index'
 
+// 由 provider 更新注入值时为 true，此时不提示修改注入值的警告
+let isUpdatingInjections: boolean = false
+
+/**
+ * A `provide` function is evaluated inside a watcher so that the
+ * provided values follow its reactive dependencies. Each provided key is
+ * stored as a shallow reactive property on `vm._provided`, which the
+ * injecting descendants watch.
+ */
 export function initProvide (vm: Component) {
   const provide = vm.$options.provide
   if (provide) {
-    vm._provided = typeof provide === 'function'
-      ? provide.call(vm)
-      : provide
+    if (typeof provide !== 'function') {
+      vm._provided = provide
+    } else if (isServerRendering()) {
+      vm._provided = provide.call(vm)
+    } else {
+      const provided = vm._provided = {}
+      const watcher = new Watcher(vm, provide, value => {
+        updateProvided(provided, value)
+      })
+      updateProvided(provided, watcher.value)
+    }
+  }
+}
+
+function updateProvided (provided: Object, value: any) {
+  if (!isObject(value)) {
+    return
+  }
+  const keys = hasSymbol
+    ? Reflect.ownKeys(value)
+    : Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    if (hasOwn(provided, key)) {
+      provided[key] = value[key]
+    } else {
+      // shallow: 和之前一样，不把提供的对象转换成响应式 (#5913)
+      defineReactive(provided, key, value[key], null, true)
+    }
   }
 }
 
 export function initInjections (vm: Component) {
-  const result = resolveInject(vm.$options.inject, vm)
+  const inject: any = vm.$options.inject
+  // #7573 disable dep collection when resolving reactive provided values
+  pushTarget()
+  const result = resolveInject(inject, vm)
+  popTarget()
   if (result) {
     toggleObserving(false)
     Object.keys(result).forEach(key => {
       /* istanbul ignore else */
       if (process.env.NODE_ENV !== 'production') {
         defineReactive(vm, key, result[key], () => {
-          warn(
-            `Avoid mutating an injected value directly since the changes will be ` +
-            `overwritten whenever the provided component re-renders. ` +
-            `injection being mutated: "${key}"`,
-            vm
-          )
+          if (!isUpdatingInjections) {
+            warn(
+              `Avoid mutating an injected value directly since the changes will be ` +
+              `overwritten whenever the provided component re-renders. ` +
+              `injection being mutated: "${key}"`,
+              vm
+            )
+          }
         })
       } else {
         defineReactive(vm, key, result[key])
       }
     })
     toggleObserving(true)
+    Object.keys(result).forEach(key => {
+      watchInjection(vm, key, inject[key].from)
+    })
+  }
+}
+
+/**
+ * Keep an injected value in sync with a provider whose `provide` is a
+ * function. The watcher is owned by the instance scope so it is torn
+ * down together with the instance.
+ */
+function watchInjection (vm: Component, key: string, provideKey: string | Symbol) {
+  const source = resolveProvider(vm, provideKey)
+  if (
+    !source ||
+    typeof source.$options.provide !== 'function' ||
+    isServerRendering()
+  ) {
+    return
+  }
+  const provided: any = source._provided
+  vm._scope.run(() => new Watcher(null, () => provided[provideKey], value => {
+    isUpdatingInjections = true
+    vm[key] = value
+    isUpdatingInjections = false
+  }))
+}
+
+function resolveProvider (vm: Component, provideKey: string | Symbol): ?Component {
+  let source = vm
+  while (source) {
+    if (source._provided && hasOwn(source._provided, provideKey)) {
+      return source
+    }
+    source = source.$parent
   }
 }
 
@@ -49,23 +127,20 @@ export function resolveInject (inject: any, vm: Component): ?Object {
       // #6574 in case the inject object is observed...
       if (key === '__ob__') continue
       const provideKey = inject[key].from
-      let source = vm
-      while (source) {
-        if (source._provided && hasOwn(source._provided, provideKey)) {
-          result[key] = source._provided[provideKey]
-          break
-        }
-        source = source.$parent
-      }
-      if (!source) {
-        if ('default' in inject[key]) {
-          const provideDefault = inject[key].default
-          result[key] = typeof provideDefault === 'function'
-            ? provideDefault.call(vm)
-            : provideDefault
-        } else if (process.env.NODE_ENV !== 'production') {
-          warn(`Injection "${key}" not found`, vm)
-        }
+      const source = resolveProvider(vm, provideKey)
+      const app = vm.$options._app
+      if (source) {
+        result[key] = (source._provided: any)[provideKey]
+      } else if (app && hasOwn(app._provides, provideKey)) {
+        // 祖先组件都没有提供时，回退到应用级的 app.provide()
+        result[key] = app._provides[(provideKey: any)]
+      } else if ('default' in inject[key]) {
+        const provideDefault = inject[key].default
+        result[key] = typeof provideDefault === 'function'
+          ? provideDefault.call(vm)
+          : provideDefault
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(`Injection "${key}" not found`, vm)
       }
     }
     return result
@@ -4,7 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
-import { updateComponentListeners } from './events'
+import { updateComponentListeners, resolveFallthroughListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
@@ -133,10 +133,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     if (parent && !parent._isBeingDestroyed && !vm.$options.abstract) {
       remove(parent.$children, vm) // 从parent的$children删掉自身
     }
-    // teardown watchers 删除watcher
-    if (vm._watcher) {
-      vm._watcher.teardown()
-    }
+    // teardown scope. this includes both the render watcher and other
+    // watchers created by this instance 停止组件的 effect scope
+    vm._scope.stop()
+    // watchers of this instance may have been collected by an outer scope
     let i = vm._watchers.length
     while (i--) {
       vm._watchers[i].teardown()
@@ -235,14 +235,25 @@ export function mountComponent (
   // component's mounted hook), which relies on vm._watcher being already defined
   // 渲染Watcher：实例化渲染一个Watcher，updateComponent作为回调函数
   // new Watcher的两个作用：1、初始化时，执行回调函数；2、当vm中监测的数据发生变化时，执行回调函数；
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted && !vm._isDestroyed) { // 在组件已经mounted之后，才会去调用这个钩子函数
         // 调用了生命周期的钩子beforeUpdate
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    // 调试钩子：渲染 watcher 收集依赖 / 被依赖触发时调用
+    // 只在定义了钩子时安装，避免每次响应式读取都执行 callHook
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
 // 参数：vm-vue的实例，expOrFun-函数，cb-空函数，options-配置，boolean 
   hydrating = false
 
@@ -315,7 +326,7 @@ export function updateChildComponent (
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject
-  vm.$listeners = listeners || emptyObject
+  vm.$listeners = resolveFallthroughListeners(vm, listeners)
 
   // update props
   if (propsData && vm.$options.props) {
@@ -391,7 +402,7 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
 }
 
 // 生命周期的函数都是调用callHook方法
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
   // 根据传入的hook，拿到对应的回调函数数组，vm.$options是合并配置的结果
@@ -401,7 +412,7 @@ export function callHook (vm: Component, hook: string) {
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
       // 定义在src/core/util/error.js中，这里等价于执行handlers[i].call(vm)
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
   if (vm._hasHookEvent) {
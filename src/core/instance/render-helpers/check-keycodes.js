@@ -23,8 +23,11 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
-  const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
-  if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
+  // 应用（createApp）内的实例使用应用自己的 keyCodes
+  const app = this.$options._app
+  const keyCodes = app ? app.config.keyCodes : config.keyCodes
+  const mappedKeyCode = keyCodes[key] || builtInKeyCode
+  if (builtInKeyName && eventKeyName && !keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
   } else if (mappedKeyCode) {
     return isKeyNotMatch(mappedKeyCode, eventKeyCode)
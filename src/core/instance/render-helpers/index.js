@@ -11,6 +11,7 @@ import { renderStatic, markOnce } from './render-static'
 import { bindObjectListeners } from './bind-object-listeners'
 import { resolveScopedSlots } from './resolve-scoped-slots'
 import { bindDynamicKeys, prependModifier } from './bind-dynamic-keys'
+import { markPatchFlag, openBlock, closeBlock } from './render-block'
 
 export function installRenderHelpers (target: any) {
   // 很多常见的简写定义在这里
@@ -31,4 +32,7 @@ export function installRenderHelpers (target: any) {
   target._g = bindObjectListeners
   target._d = bindDynamicKeys
   target._p = prependModifier
+  target._x = markPatchFlag
+  target._y = openBlock
+  target._z = closeBlock
 }
@@ -0,0 +1,66 @@
+/* @flow */
+
+// 正在收集动态节点的块，块内节点的求值先于块根节点，因此用栈维护
+const blockStack: Array<Array<VNode>> = []
+let currentBlock: ?Array<VNode> = null
+
+/**
+ * Runtime helper for annotating a vnode with the patch flag computed by
+ * the compiler. Vnodes created inside an open block are collected into it.
+ * The id is only unique within one compiled template, so it is paired with
+ * the render function of the instance that renders the node.
+ */
+export function markPatchFlag (
+  vnode: VNode,
+  flag: number,
+  dynamicProps?: ?Array<string>,
+  id?: number
+): VNode {
+  vnode.patchFlag = flag
+  if (dynamicProps) {
+    vnode.dynamicProps = dynamicProps
+  }
+  if (id !== undefined) {
+    vnode.patchId = id
+    vnode.patchRender = this.$options.render
+  }
+  if (currentBlock) {
+    currentBlock.push(vnode)
+  }
+  return vnode
+}
+
+/**
+ * Runtime helper for opening a block, called before the block root's
+ * children are rendered.
+ */
+export function openBlock () {
+  blockStack.push(currentBlock = [])
+}
+
+/**
+ * Runtime helper for closing a block: the dynamic descendants collected
+ * since the matching openBlock are stored on the block root.
+ */
+export function closeBlock (
+  vnode: VNode,
+  flag: number,
+  dynamicProps: ?Array<string>,
+  id: number
+): VNode {
+  vnode.dynamicChildren = blockStack.pop()
+  currentBlock = blockStack.length ? blockStack[blockStack.length - 1] : null
+  vnode.patchFlag = flag
+  if (dynamicProps) {
+    vnode.dynamicProps = dynamicProps
+  }
+  vnode.patchId = id
+  vnode.patchRender = this.$options.render
+  return vnode
+}
+
+// 渲染出错时块可能没有关闭，每次渲染开始前重置
+export function resetBlockTracking () {
+  blockStack.length = 0
+  currentBlock = null
+}
@@ -11,10 +11,13 @@ import {
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
+import { resetBlockTracking } from './render-helpers/render-block'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { resolveFallthroughListeners } from './events'
 
 export function initRender (vm: Component) {
   vm._vnode = null // the root of the child tree
@@ -46,12 +49,12 @@ export function initRender (vm: Component) {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
     }, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), () => {
       !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
     }, true)
   } else {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, null, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), null, true)
   }
 }
 
@@ -96,9 +99,13 @@ export function renderMixin (Vue: Class<Component>) {
       // separately from one another. Nested component's render fns are called
       // when parent component is patched.
       currentRenderingInstance = vm
+      resetBlockTracking()
       // 调用render方法，生成一个渲染VNode
       // 会访问到定义在模版中的数据-->访问到这些数据的getter
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // async setup() 尚未完成时渲染为空节点
+      vnode = vm._setupPromise
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render`)
       // return error render result,
@@ -117,9 +124,18 @@ export function renderMixin (Vue: Class<Component>) {
     } finally {
       currentRenderingInstance = null
     }
-    // if the returned array contains only a single node, allow it
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // multiple root nodes of a component are rendered as a fragment,
+    // if the returned array contains only a single node, use it as root
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      if (children.length <= 1) {
+        vnode = children[0]
+      } else if (_parentVnode) {
+        vnode = createFragmentVNode(children)
+        if (process.env.NODE_ENV !== 'production' && !vm._vnode) {
+          checkFragmentAttrs(vm, _parentVnode)
+        }
+      }
     }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
@@ -138,3 +154,19 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+// attrs are only inherited by a single root element, fragments have to
+// bind $attrs explicitly
+function checkFragmentAttrs (vm: Component, parentVnode: ?VNode) {
+  const attrs = parentVnode && parentVnode.data && parentVnode.data.attrs
+  const keys = attrs ? Object.keys(attrs) : []
+  if (keys.length && vm.$options.inheritAttrs !== false) {
+    warn(
+      `Extraneous non-props attributes (${keys.join(', ')}) were passed to ` +
+      `component but could not be automatically inherited because it renders ` +
+      `multiple root nodes. Bind them explicitly with v-bind="$attrs" and ` +
+      `set inheritAttrs: false.`,
+      vm
+    )
+  }
+}
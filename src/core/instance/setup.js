@@ -0,0 +1,193 @@
+/* @flow */
+
+import VNode from '../vdom/vnode'
+import { pushTarget, popTarget } from '../observer/dep'
+import { isRef } from '../observer/ref'
+import {
+  warn,
+  bind,
+  isObject,
+  isPromise,
+  isReserved,
+  invokeWithErrorHandling
+} from '../util/index'
+
+export type SetupContext = {
+  attrs: { [key: string]: string },
+  listeners: { [key: string]: Function | Array<Function> },
+  slots: { [key: string]: Function },
+  emit: (event: string, ...args: Array<any>) => Component
+};
+
+// 正在执行 setup() 的组件实例
+export let currentInstance: ?Component = null
+
+export function setCurrentInstance (vm: ?Component) {
+  currentInstance = vm
+}
+
+/**
+ * Return the instance whose setup() is currently running, exposed as
+ * `{ proxy }` so that shared logic can reach the component.
+ */
+export function getCurrentInstance (): ?{ proxy: Component } {
+  return currentInstance && { proxy: currentInstance }
+}
+
+/**
+ * Call the setup() option with the resolved props and a context object.
+ * A returned object is proxied onto the instance (refs are unwrapped),
+ * a returned function is used as the render function. Watchers and
+ * effects created during setup() are collected by the instance scope
+ * so they are stopped when the instance is destroyed. An async setup()
+ * renders nothing until its result is available.
+ */
+export function initSetup (vm: Component) {
+  const options = vm.$options
+  const setup = options.setup
+  if (!setup) {
+    return
+  }
+  const ctx = vm._setupContext = createSetupContext(vm)
+  const prev = currentInstance
+  setCurrentInstance(vm)
+  // #7573 disable dep collection when invoking setup
+  pushTarget()
+  const setupResult = vm._scope.run(() => invokeWithErrorHandling(
+    setup,
+    null,
+    [vm._props || {}, ctx],
+    vm,
+    `setup`
+  ))
+  popTarget()
+  setCurrentInstance(prev)
+
+  if (isPromise(setupResult)) {
+    // async setup(): 完成之前渲染为空节点，<suspense> 会等待它完成。
+    // 出错时已由 invokeWithErrorHandling 上报，这里只需结束等待
+    vm._setupPromise = setupResult.then(result => {
+      vm._setupPromise = null
+      handleSetupResult(vm, result)
+      vm.$forceUpdate()
+    }, () => {
+      vm._setupPromise = null
+      vm.$forceUpdate()
+    })
+  } else {
+    handleSetupResult(vm, setupResult)
+  }
+}
+
+function handleSetupResult (vm: Component, setupResult: any) {
+  const options = vm.$options
+  if (typeof setupResult === 'function') {
+    // setup 返回的函数作为 render 函数
+    options.render = setupResult
+  } else if (isObject(setupResult)) {
+    if (process.env.NODE_ENV !== 'production' && setupResult instanceof VNode) {
+      warn(
+        `setup() should not return VNodes directly - ` +
+        `return a render function instead.`,
+        vm
+      )
+    }
+    vm._setupState = setupResult
+    for (const key in setupResult) {
+      if (!isReserved(key)) {
+        proxyWithRefUnwrap(vm, setupResult, key)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `setup() return property "${key}" should not start with "$" or "_" ` +
+          `which are reserved prefixes for Vue internals.`,
+          vm
+        )
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object. Received: ${
+        setupResult === null ? 'null' : typeof setupResult
+      }`,
+      vm
+    )
+  }
+}
+
+function createSetupContext (vm: Component): SetupContext {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit: bind(vm.$emit, vm)
+  }
+}
+
+function proxyWithRefUnwrap (target: Object, source: Object, key: string) {
+  Object.defineProperty(target, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const val = source[key]
+      return isRef(val) ? val.value : val
+    },
+    set: val => {
+      const oldValue = source[key]
+      if (isRef(oldValue) && !isRef(val)) {
+        oldValue.value = val
+      } else {
+        source[key] = val
+      }
+    }
+  })
+}
+
+/**
+ * Lifecycle hook registration, only usable during setup(). The hook is
+ * appended to the instance's own options, after the hooks declared in
+ * options and mixins.
+ */
+function createLifeCycle (hookName: string) {
+  return (fn: Function, target: ?Component = currentInstance) => {
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `${formatHookName(hookName)} is called when there is no active ` +
+        `component instance to be associated with. Lifecycle injection ` +
+        `APIs can only be used during execution of setup().`
+      )
+      return
+    }
+    const options = target.$options
+    // $options 可能以构造器的 options 为原型，不能直接 push 到共享的数组里
+    const hooks = options[hookName]
+    options[hookName] = hooks ? hooks.concat(fn) : [fn]
+  }
+}
+
+const hookNames = {
+  beforeDestroy: 'onBeforeUnmount',
+  destroyed: 'onUnmounted'
+}
+
+function formatHookName (hookName: string): string {
+  return hookNames[hookName] ||
+    `on${hookName.charAt(0).toUpperCase()}${hookName.slice(1)}`
+}
+
+export const onBeforeMount = createLifeCycle('beforeMount')
+export const onMounted = createLifeCycle('mounted')
+export const onBeforeUpdate = createLifeCycle('beforeUpdate')
+export const onUpdated = createLifeCycle('updated')
+export const onBeforeUnmount = createLifeCycle('beforeDestroy')
+export const onUnmounted = createLifeCycle('destroyed')
+export const onActivated = createLifeCycle('activated')
+export const onDeactivated = createLifeCycle('deactivated')
+export const onErrorCaptured = createLifeCycle('errorCaptured')
+export const onRenderTracked = createLifeCycle('renderTracked')
+export const onRenderTriggered = createLifeCycle('renderTriggered')
@@ -4,6 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
@@ -17,6 +18,7 @@ import {
   warn,
   bind,
   noop,
+  remove,
   hasOwn,
   hyphenate,
   isReserved,
@@ -54,6 +56,8 @@ export function initState (vm: Component) {
   const opts = vm.$options
   // 是否对props、methods、data、computed、watch进行了定义，有的话就进行初始化
   if (opts.props) initProps(vm, opts.props)
+  // setup() 需要拿到 props，所以在 props 之后、其余选项之前执行
+  initSetup(vm)
   if (opts.methods) initMethods(vm, opts.methods)
   // data处理，响应化处理
   if (opts.data) {
@@ -221,6 +225,10 @@ function initComputed (vm: Component, computed: Object) {
         // watcher 配置 -- { lazy: true }
         computedWatcherOptions
       )
+      if (process.env.NODE_ENV !== 'production' && isPlainObject(userDef)) {
+        watchers[key].onTrack = userDef.onTrack
+        watchers[key].onTrigger = userDef.onTrigger
+      }
     }
 
     // component-defined computed properties are already defined on the component prototype. 
@@ -360,7 +368,7 @@ function initWatch (vm: Component, watch: Object) {
  */
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<string | Function>,
   handler: any,
   options?: Object
 ) {
@@ -410,7 +418,7 @@ export function stateMixin (Vue: Class<Component>) {
    * @param {*} options 
    */
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -426,7 +434,7 @@ export function stateMixin (Vue: Class<Component>) {
     // 如果配置了 immediate 参数，就直接立即执行这个方法一次
     if (options.immediate) {
       try {
-        cb.call(vm, watcher.value)
+        cb.call(vm, watcher.value, undefined, fn => watcher.onCleanup(fn))
       } catch (error) {
         handleError(error, vm, `callback for immediate watcher "${watcher.expression}"`)
       }
@@ -436,4 +444,55 @@ export function stateMixin (Vue: Class<Component>) {
       watcher.teardown()
     }
   }
+
+  /**
+   * Subscribe to a computed property becoming stale. The callback runs
+   * synchronously when a dependency changes, before the computed is
+   * re-evaluated, so that the evaluation can be scheduled by the caller.
+   */
+  Vue.prototype.$onInvalidate = function (key: string, fn: Function): Function {
+    const vm: Component = this
+    const watcher = getComputedWatcher(vm, key)
+    if (!watcher) {
+      return noop
+    }
+    const cb = () => {
+      try {
+        fn.call(vm)
+      } catch (e) {
+        handleError(e, vm, `invalidate callback for computed "${key}"`)
+      }
+    }
+    const cbs = watcher.invalidateCbs || (watcher.invalidateCbs = [])
+    cbs.push(cb)
+    return function offInvalidate () {
+      remove(cbs, cb)
+    }
+  }
+
+  /**
+   * Re-evaluate a computed property even if none of its dependencies
+   * changed, notify everything that reads it (including $onInvalidate
+   * callbacks), and return the new value.
+   */
+  Vue.prototype.$recompute = function (key: string): any {
+    const vm: Component = this
+    const watcher = getComputedWatcher(vm, key)
+    if (watcher) {
+      watcher.invalidate()
+      if (watcher.dep) {
+        watcher.dep.notify()
+      }
+    }
+    return vm[key]
+  }
+}
+
+function getComputedWatcher (vm: Component, key: string): ?Watcher {
+  const watcher = vm._computedWatchers && vm._computedWatchers[key]
+  // SSR 中计算属性不会创建 watcher，也不会失效
+  if (!watcher && process.env.NODE_ENV !== 'production' && !isServerRendering()) {
+    warn(`Computed property "${key}" is not defined on the instance.`, vm)
+  }
+  return watcher
 }
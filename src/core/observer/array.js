@@ -3,6 +3,7 @@
  * dynamically accessing methods on Array prototype
  */
 
+import { TriggerOpTypes, getSchedulerTriggerInfo } from './dep'
 import { def } from '../util/index'
 
 // 获取到数组到原型
@@ -31,10 +32,10 @@ methodsToPatch.forEach(function (method) {
   const original = arrayProto[method]
   // 改写/添加额外方法--对 arrayMethods 的 method 做一个改写
   def(arrayMethods, method, function mutator (...args) {
-    // 先拿到原先方法，执行，拿到结果
-    const result = original.apply(this, args)
     // 保留 __ob__
-    const ob = this.__ob__ 
+    const ob = this.__ob__
+    // 先拿到原先方法，执行，拿到结果；通过 Proxy 调用时作用在原数组上，避免重复触发代理的拦截
+    const result = original.apply(ob.value, args)
     // 以下操作，把数组原生方法中用于添加数据方法的 args 处理成响应化
     let inserted
     switch (method) {
@@ -48,9 +49,18 @@ methodsToPatch.forEach(function (method) {
         break
     }
     // 如果是添加对象，那么响应化处理
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
     // notify change 手动通知数据的变化
-    ob.dep.notify()
-    return result
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({
+        type: TriggerOpTypes.ARRAY_MUTATION,
+        target: ob.value,
+        key: method
+      })
+    } else {
+      ob.dep.notify(getSchedulerTriggerInfo(ob.value, TriggerOpTypes.ARRAY_MUTATION, method))
+    }
+    // sort / reverse 返回数组本身，通过 Proxy 调用时返回代理
+    return result === ob.value ? this : result
   })
 })
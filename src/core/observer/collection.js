@@ -0,0 +1,209 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import Dep, { TrackOpTypes, TriggerOpTypes, getSchedulerTriggerInfo } from './dep'
+import { observe, dependArray } from './index'
+import { def, hasSymbol, hasChanged } from '../util/index'
+
+const hasMap = typeof Map !== 'undefined'
+const hasSet = typeof Set !== 'undefined'
+
+const mapProto = hasMap ? Map.prototype : null
+const setProto = hasSet ? Set.prototype : null
+
+// 和 arrayMethods 一样，拦截过的方法挂在以原生原型为原型的对象上
+export const mapMethods = hasMap ? Object.create(mapProto) : null
+export const setMethods = hasSet ? Object.create(setProto) : null
+
+/**
+ * Get (or lazily create) the dep tracking a single key of an
+ * observed collection.
+ */
+function getKeyDep (ob, key) {
+  let dep = ob.keyDeps.get(key)
+  if (!dep) {
+    dep = new Dep()
+    ob.keyDeps.set(key, dep)
+  }
+  return dep
+}
+
+/**
+ * Collect the current watcher as a dependency of a single key.
+ * Reading a key that is not present yet still creates its dep, so
+ * that a later add() / set() for that key can notify the reader.
+ */
+function trackKey (ob, key, type) {
+  if (Dep.target) {
+    getKeyDep(ob, key).depend(process.env.NODE_ENV !== 'production'
+      ? { target: ob.value, type, key }
+      : undefined
+    )
+  }
+}
+
+/**
+ * Collect the current watcher as a dependency of the whole
+ * collection (size and iteration order / values).
+ */
+function trackIteration (ob, collection, proto) {
+  if (Dep.target) {
+    ob.dep.depend(process.env.NODE_ENV !== 'production'
+      ? { target: collection, type: TrackOpTypes.ITERATE }
+      : undefined
+    )
+    proto.forEach.call(collection, dependValue)
+  }
+}
+
+/**
+ * Mirror of what reactiveGetter does for nested values: depend on the
+ * child observer so Vue.set / array mutations on it are tracked too.
+ */
+function dependValue (value) {
+  const childOb = value && value.__ob__
+  if (childOb) {
+    childOb.dep.depend()
+    if (Array.isArray(value)) {
+      dependArray(value)
+    }
+  }
+}
+
+/**
+ * Notify watchers of a single key, and watchers of the whole
+ * collection.
+ * The dep of a removed key is dropped once notified, so that collections
+ * with churning keys don't keep a dep (and the key itself) for every key
+ * they ever held: the notified watchers create a new one if they read
+ * the key again.
+ */
+function trigger (ob, type, key, newValue, oldValue) {
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target: ob.value, type, key, newValue, oldValue }
+    : getSchedulerTriggerInfo(ob.value, type, key)
+  const dep = ob.keyDeps.get(key)
+  if (dep) {
+    dep.notify(info)
+    if (type === TriggerOpTypes.DELETE) ob.keyDeps.delete(key)
+  }
+  ob.dep.notify(info)
+}
+
+function triggerAll (ob) {
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target: ob.value, type: TriggerOpTypes.CLEAR }
+    : getSchedulerTriggerInfo(ob.value, TriggerOpTypes.CLEAR)
+  ob.keyDeps.forEach(dep => dep.notify(info))
+  ob.keyDeps.clear()
+  ob.dep.notify(info)
+}
+
+/**
+ * Methods that read the collection as a whole.
+ */
+const iterationMethods = ['forEach', 'keys', 'values', 'entries']
+if (hasSymbol) iterationMethods.push(Symbol.iterator)
+
+function patchIteration (methods, proto) {
+  iterationMethods.forEach(function (method) {
+    const original = proto[method]
+    def(methods, method, function iterator (...args) {
+      const ob = this.__ob__
+      if (ob) trackIteration(ob, this, proto)
+      return original.apply(this, args)
+    })
+  })
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+  Object.defineProperty(methods, 'size', {
+    configurable: true,
+    get: function reactiveSize () {
+      const ob = this.__ob__
+      if (ob) trackIteration(ob, this, proto)
+      return sizeGetter.call(this)
+    }
+  })
+}
+
+/**
+ * Intercept the methods Map and Set have in common.
+ */
+function patchShared (methods, proto) {
+  const has = proto.has
+  def(methods, 'has', function (key) {
+    const ob = this.__ob__
+    if (ob) trackKey(ob, key, TrackOpTypes.HAS)
+    return has.call(this, key)
+  })
+
+  const remove = proto.delete
+  def(methods, 'delete', function (key) {
+    const result = remove.call(this, key)
+    const ob = this.__ob__
+    if (ob && result) {
+      trigger(ob, TriggerOpTypes.DELETE, key)
+    }
+    return result
+  })
+
+  const clear = proto.clear
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+  def(methods, 'clear', function () {
+    const hadItems = sizeGetter.call(this) !== 0
+    const result = clear.call(this)
+    const ob = this.__ob__
+    if (ob && hadItems) triggerAll(ob)
+    return result
+  })
+}
+
+if (hasMap) {
+  patchShared(mapMethods, mapProto)
+  patchIteration(mapMethods, mapProto)
+
+  const get = mapProto.get
+  def(mapMethods, 'get', function (key) {
+    const value = get.call(this, key)
+    const ob = this.__ob__
+    if (ob && Dep.target) {
+      trackKey(ob, key, TrackOpTypes.GET)
+      dependValue(value)
+    }
+    return value
+  })
+
+  const set = mapProto.set
+  const has = mapProto.has
+  def(mapMethods, 'set', function (key, value) {
+    const ob = this.__ob__
+    const hadKey = has.call(this, key)
+    const oldValue = get.call(this, key)
+    set.call(this, key, value)
+    if (ob && (!hadKey || hasChanged(value, oldValue))) {
+      // 新值同样需要被观测，和数组的 push / splice 处理一致
+      if (!ob.shallow) observe(value)
+      trigger(ob, hadKey ? TriggerOpTypes.SET : TriggerOpTypes.ADD, key, value, oldValue)
+    }
+    return this
+  })
+}
+
+if (hasSet) {
+  patchShared(setMethods, setProto)
+  patchIteration(setMethods, setProto)
+
+  const add = setProto.add
+  const has = setProto.has
+  def(setMethods, 'add', function (value) {
+    const ob = this.__ob__
+    const hadValue = has.call(this, value)
+    add.call(this, value)
+    if (ob && !hadValue) {
+      if (!ob.shallow) observe(value)
+      trigger(ob, TriggerOpTypes.ADD, value, value)
+    }
+    return this
+  })
+}
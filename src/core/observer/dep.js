@@ -1,11 +1,59 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+export const TrackOpTypes = {
+  GET: 'get',
+  HAS: 'has',
+  ITERATE: 'iterate'
+}
+
+export const TriggerOpTypes = {
+  SET: 'set',
+  ADD: 'add',
+  DELETE: 'delete',
+  CLEAR: 'clear',
+  ARRAY_MUTATION: 'array mutation'
+}
+
+/**
+ * Describes what caused a dependency to be tracked or triggered.
+ * Passed around in development builds, for the onTrack / onTrigger
+ * debugger hooks. Production builds only pass it to notify, without the
+ * values, when the scheduler reports infinite loops (see
+ * getSchedulerTriggerInfo).
+ */
+export type DebuggerEventExtraInfo = {
+  target: any,
+  type: string,
+  key?: any,
+  newValue?: any,
+  oldValue?: any
+};
+
+export type DebuggerEvent = DebuggerEventExtraInfo & {
+  effect: Watcher
+};
+
+/**
+ * The trigger info of production builds: the infinite loop report of
+ * config.scheduler.onInfiniteLoop includes the key that queued each
+ * watcher, so it is only built when a handler is set.
+ */
+export function getSchedulerTriggerInfo (
+  target: any,
+  type: string,
+  key?: any
+): ?DebuggerEventExtraInfo {
+  return config.scheduler.onInfiniteLoop
+    ? { target, type, key }
+    : undefined
+}
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -38,15 +86,18 @@ export default class Dep {
   }
 
   // 维护管理若干watcher
-  depend () {
+  depend (info?: DebuggerEventExtraInfo) {
     if (Dep.target) {
       // Dep是一个watcher实例， 这里是建立和watcher实例之间的关系 
       // 如果Dep.target存在，调用 addDep 方法，即 Watcher.addDep(this)
       Dep.target.addDep(this)
+      if (process.env.NODE_ENV !== 'production' && info && Dep.target.onTrack) {
+        Dep.target.onTrack(extend({ effect: Dep.target }, info))
+      }
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     // 这里的 slice() 就是获取 this.subs 这个数组里面，所有的依赖
     const subs = this.subs.slice()
@@ -58,8 +109,12 @@ export default class Dep {
     }
     // 遍历所有的 subs ，即遍历所有订阅该数据变化的 watcher 的实例数组
     for (let i = 0, l = subs.length; i < l; i++) {
+      const sub = subs[i]
+      if (process.env.NODE_ENV !== 'production' && info && sub.onTrigger) {
+        sub.onTrigger(extend({ effect: sub }, info))
+      }
       // 方法定义在 src/core/observer/watcher.js 
-      subs[i].update()
+      sub.update(info)
     }
   }
 }
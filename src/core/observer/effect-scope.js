@@ -0,0 +1,133 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects every watcher (including computed and
+ * standalone effects) created while it is active, so that all of them
+ * can be disposed together with a single stop() call.
+ * Scopes created inside another active scope are collected by it as
+ * well, unless they are detached.
+ */
+export class EffectScope {
+  active: boolean;
+  detached: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: ?EffectScope;
+  scopes: ?Array<EffectScope>;
+  // index of this scope in its parent's scopes array, for fast removal
+  index: ?number;
+  // set when the scope belongs to a component instance
+  _vm: boolean;
+
+  constructor (detached: boolean = false) {
+    this.active = true
+    this.detached = detached
+    this.effects = []
+    this.cleanups = []
+    this._vm = false
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  /**
+   * This should only be called on non-detached scopes.
+   */
+  on () {
+    activeEffectScope = this
+  }
+
+  /**
+   * This should only be called on non-detached scopes.
+   */
+  off () {
+    activeEffectScope = this.parent
+  }
+
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      const parent = this.parent
+      if (!this.detached && parent && parent.scopes && !fromParent) {
+        // optimized O(1) removal
+        const last = parent.scopes.pop()
+        if (last && last !== this) {
+          parent.scopes[(this.index: any)] = last
+          last.index = this.index
+        }
+      }
+      this.parent = undefined
+      this.active = false
+    }
+  }
+}
+
+/**
+ * Create an effect scope. A detached scope is not collected by the
+ * scope that is active when it is created.
+ */
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Record a watcher in the given scope (defaults to the active one).
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be called when the active scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`
+    )
+  }
+}
@@ -0,0 +1,101 @@
+/* @flow */
+
+import Watcher from './watcher'
+import Dep from './dep'
+import { RefFlag } from './ref'
+import { def, warn, noop } from '../util/index'
+
+import type { Ref } from './ref'
+import type { DebuggerEvent } from './dep'
+
+type ComputedOptions<T> = {
+  get: () => T,
+  set: (value: T) => void
+};
+
+type DebuggerOptions = {
+  onTrack?: (event: DebuggerEvent) => void,
+  onTrigger?: (event: DebuggerEvent) => void
+};
+
+/**
+ * Create a computed ref that does not belong to any component.
+ * It is backed by a lazy watcher, exactly like computed properties
+ * declared in component options, so components reading it in their
+ * render functions track its dependencies too.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | ComputedOptions<T>,
+  debugOptions?: DebuggerOptions
+): Ref<T> {
+  let getter, setter
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => {
+        warn('Write operation failed: computed value is readonly.')
+      }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set
+  }
+
+  const watcher = new Watcher(null, getter, noop, { lazy: true })
+  if (process.env.NODE_ENV !== 'production' && debugOptions) {
+    watcher.onTrack = debugOptions.onTrack
+    watcher.onTrigger = debugOptions.onTrigger
+  }
+  const ref: any = {}
+  def(ref, RefFlag, true)
+  def(ref, 'effect', watcher)
+  Object.defineProperty(ref, 'value', {
+    enumerable: true,
+    configurable: true,
+    get: function computedGetter () {
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    },
+    set: setter
+  })
+  return ref
+}
+
+/**
+ * Run a function immediately while tracking its reactive
+ * dependencies, and re-run it whenever they change. Returns a
+ * function that stops the effect.
+ */
+export function watchEffect (
+  effect: Function,
+  options?: DebuggerOptions
+): Function {
+  const watcher = new Watcher(null, effect, noop, {
+    user: true,
+    onTrack: options && options.onTrack,
+    onTrigger: options && options.onTrigger
+  })
+  const stopHandle: any = function () {
+    watcher.teardown()
+  }
+  stopHandle.effect = watcher
+  return stopHandle
+}
+
+/**
+ * Stop an effect created by watchEffect() or computed() so it no
+ * longer reacts to changes.
+ */
+export function stop (runner: any) {
+  const effect = runner && runner.effect
+  if (effect instanceof Watcher) {
+    effect.teardown()
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(`stop() expects the return value of watchEffect() or computed().`)
+  }
+}
@@ -1,16 +1,26 @@
 /* @flow */
 
-import Dep from './dep'
+import Dep, { TrackOpTypes, TriggerOpTypes, getSchedulerTriggerInfo } from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { mapMethods, setMethods } from './collection'
+import { ReactiveFlags } from './reactive'
+import {
+  shouldUseProxy,
+  createObserverProxy,
+  toObserverProxy,
+  toObserverRaw
+} from './proxy'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
   isObject,
+  isCollection,
   isPlainObject,
   isPrimitive,
+  toRawType,
   isUndef,
   isValidArrayIndex,
   isServerRendering
@@ -18,6 +28,9 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+// passed to defineReactive() so it reads the initial value lazily
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's update computation.
  * shouldObserve作为一个标志位，默认为true，当外部 调用 toggleObserving 方法，可以任意改变标志位的值
@@ -38,14 +51,18 @@ export function toggleObserving (value: boolean) {
 export class Observer {
   value: any;
   dep: Dep;
+  keyDeps: ?Map<any, Dep>; // per-key deps, only for Map / Set values
+  shallow: boolean; // only the root level is made reactive
+  proxy: ?Object; // Proxy wrapping the value, see config.proxyArrays / proxyObjects
   vmCount: number; // number of vms that have this object as root $data
 
   // new Observer 的时候会执行这个构造函数
-  constructor (value: any) {
+  constructor (value: any, shallow: boolean = false) {
     // 保留传入的value
     this.value = value
     // 实例化一个dep对象
     this.dep = new Dep()
+    this.shallow = shallow
     this.vmCount = 0
     // def方法定义在src/core/util/lang.js
     // 把自身实例添加到数据对象 value 的 __ob__ 属性上
@@ -62,11 +79,29 @@ export class Observer {
         copyAugment(value, arrayMethods, arrayKeys)
       }
       // 遍历数组中的每一项，再次调用 observe(items[i])
-      this.observeArray(value)
+      if (!shallow) {
+        this.observeArray(value)
+      }
+    } else if (isCollection(value)) {
+      // Map / Set：先观测已有的值，再拦截读写方法，并为每个 key 单独维护一个 dep
+      this.keyDeps = new Map()
+      if (!shallow) {
+        this.observeCollection(value)
+      }
+      const methods = toRawType(value) === 'Map' ? mapMethods : setMethods
+      if (hasProto) {
+        protoAugment(value, methods)
+      } else {
+        copyAugment(value, methods, Object.getOwnPropertyNames(methods))
+      }
     } else {
       // 如果是普通对象，遍历 value 中的 key ，进行 defineReactive 的调用（添加getter和setter）
       this.walk(value)
     }
+    // Proxy 模式：额外拦截数组下标 / length 的赋值，以及对象新增、删除属性
+    this.proxy = !isCollection(value) && shouldUseProxy(value)
+      ? createObserverProxy(value)
+      : null
   }
 
   /**
@@ -77,7 +112,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow)
     }
   }
 
@@ -89,6 +124,15 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values held by a Map or Set.
+   */
+  observeCollection (collection: Map<any, any> | Set<any>) {
+    collection.forEach(value => {
+      observe(value)
+    })
+  }
 }
 
 // helpers
@@ -127,7 +171,11 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * returns the new observer if successfully observed,
  * or the existing observer if the value already has one.
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   // initState-->initData-->传入observe(data, true)
   if (!isObject(value) || value instanceof VNode) {
     // 被观测的对象一定要求是一个对象，且不能是个VNode实例
@@ -143,15 +191,17 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
     shouldObserve &&
     // 不是在isServerRendering的时机
     !isServerRendering() &&
-    // 传入的被观测的value应该不是一个数组，就是一个对象
-    (Array.isArray(value) || isPlainObject(value)) &&
+    // 传入的被观测的value应该是数组、对象或者 Map / Set
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     // 同时要求传入的value是可以扩展属性的
     Object.isExtensible(value) &&
     // 还要确定不是vue实例，vue实例的_isVue为true
-    !value._isVue
+    !value._isVue &&
+    // readonly 视图本身不需要观测，依赖由原对象的 getter 收集
+    !value[ReactiveFlags.IS_READONLY]
   ) {
     // 调用 observer 的 Class
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -184,9 +234,12 @@ export function defineReactive (
   // cater for pre-defined getter/setters
   const getter = property && property.get
   const setter = property && property.set
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) && (val === NO_INITIAL_VALUE || arguments.length === 2)) {
     val = obj[key]
+  } else if (val === NO_INITIAL_VALUE) {
+    val = undefined
   }
+  val = toObserverRaw(val)
 
   // 递归：如果这个val的值还是一个对象，那么接下来就要开始递归了
   // 这里返回的childOb，是对象情况下的一个observer实例
@@ -200,7 +253,16 @@ export function defineReactive (
       const value = getter ? getter.call(obj) : val
       // 依赖收集
       if (Dep.target) { // 存在正在进行计算的 Watcher -- 当前的渲染Watcher
-        dep.depend() // 追加依赖关系，进行依赖收集
+        // 追加依赖关系，进行依赖收集
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({
+            target: obj,
+            type: TrackOpTypes.GET,
+            key
+          })
+        } else {
+          dep.depend()
+        }
         // 如果存在子observer-->只有在 value 是对象 childOb 才不是 undefined
         if (childOb) {
           // ？？？有什么作用--在使用 Vue.set 方法进行响应式处理的时候，收集/订阅渲染 watcher
@@ -211,12 +273,15 @@ export function defineReactive (
           }
         }
       }
-      return value
+      // Proxy 模式下返回被观测值的代理
+      return childOb ? toObserverProxy(value) : value
     },
     // 派发更新 
     set: function reactiveSetter (newVal) {
       // 拿到当前的值，作为旧值，和传入的新值进行比较处理
       const value = getter ? getter.call(obj) : val
+      // Proxy 模式下始终保存原始值
+      newVal = toObserverRaw(newVal)
       /* eslint-disable no-self-compare */
       // 新旧值相同时什么都不做 
       if (newVal === value || (newVal !== newVal && value !== value)) {
@@ -237,7 +302,17 @@ export function defineReactive (
       childOb = !shallow && observe(newVal)
       // 关键点2，通知所有的订阅者，方法定义在 src/core/observer/dep.js
       // computed 触发更新的时候，主要执行的是 notify ，通知的是 computed watcher 做 update
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({
+          type: TriggerOpTypes.SET,
+          target: obj,
+          key,
+          newValue: newVal,
+          oldValue: value
+        })
+      } else {
+        dep.notify(getSchedulerTriggerInfo(obj, TriggerOpTypes.SET, key))
+      }
     }
   })
 }
@@ -253,6 +328,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     // 如果 target 是 undefined 或者是基础类型的值，触发一个警告
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (target && (target: any)[ReactiveFlags.IS_READONLY]) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Set operation on key "${key}" failed: target is readonly.`
+    )
+    return
+  }
   /* 可能性1：如果传入的 target 是真实的数组，且 key 是一个合法的索引（大于0的整数）*/
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 首先修改数组的长度，取决于原数组长度/传入修改的数组下标 key 的大小
@@ -287,9 +368,19 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   }
   /* 可能性5：上述条件都不满足的情况下 */
   // 调用 defineReactive 把每个 ob.value 的 key 变成响应式对象（添加 getter 和 setter）
-  defineReactive(ob.value, key, val)
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
   // 手动调用 dep.notify 通知所有的订阅者进行重新渲染；这里的逻辑需要配合上面 defineReactive 中的 childOb.dep.depend()
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      type: TriggerOpTypes.ADD,
+      target,
+      key,
+      newValue: val,
+      oldValue: undefined
+    })
+  } else {
+    ob.dep.notify(getSchedulerTriggerInfo(target, TriggerOpTypes.ADD, key))
+  }
   return val
 }
 
@@ -302,6 +393,12 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (target && (target: any)[ReactiveFlags.IS_READONLY]) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Delete operation on key "${key}" failed: target is readonly.`
+    )
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -321,14 +418,22 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      type: TriggerOpTypes.DELETE,
+      target,
+      key
+    })
+  } else {
+    ob.dep.notify(getSchedulerTriggerInfo(target, TriggerOpTypes.DELETE, key))
+  }
 }
 
 /**
  * Collect dependencies on array elements when the array is touched, since
  * we cannot intercept array element access like property getters.
  */
-function dependArray (value: Array<any>) {
+export function dependArray (value: Array<any>) {
   for (let e, i = 0, l = value.length; i < l; i++) {
     e = value[i]
     e && e.__ob__ && e.__ob__.dep.depend()
@@ -0,0 +1,174 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * Proxy traps and dynamic keys
+ */
+
+import Dep, { TrackOpTypes, TriggerOpTypes, getSchedulerTriggerInfo } from './dep'
+import config from '../config'
+import { observe, set, del } from './index'
+import {
+  hasOwn,
+  isNative,
+  hasChanged,
+  isValidArrayIndex
+} from '../util/index'
+
+export const hasProxy = typeof Proxy !== 'undefined' && isNative(Proxy)
+
+/**
+ * Whether a newly observed value should be wrapped in a Proxy, based on
+ * config.proxyArrays / config.proxyObjects. Environments without
+ * Proxy support always fall back to getter/setters.
+ */
+export function shouldUseProxy (value) {
+  return hasProxy && !!(Array.isArray(value) ? config.proxyArrays : config.proxyObjects)
+}
+
+export function createObserverProxy (value) {
+  return new Proxy(value, Array.isArray(value) ? arrayHandlers : objectHandlers)
+}
+
+/**
+ * Return the proxy of an observed value, or the value itself.
+ */
+export function toObserverProxy (value) {
+  const ob = value && value.__ob__
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the raw value behind an observer proxy, or the value itself.
+ */
+export function toObserverRaw (value) {
+  const ob = value && value.__ob__
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+function isArrayKey (key) {
+  return typeof key !== 'symbol' && (key === 'length' || isValidArrayIndex(key))
+}
+
+function track (target, type, key) {
+  if (Dep.target) {
+    const ob = target.__ob__
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.depend({ target, type, key })
+    } else {
+      ob.dep.depend()
+    }
+  }
+}
+
+function trigger (target, type, key, newValue, oldValue) {
+  const ob = target.__ob__
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    ob.dep.notify(getSchedulerTriggerInfo(target, type, key))
+  }
+}
+
+// 代理对象的元素可能是 proxy，按引用查找时需要在原数组上用原始值比较
+const arraySearchMethods = Object.create(null)
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  const original = Array.prototype[method]
+  arraySearchMethods[method] = function (...args) {
+    const raw = toObserverRaw(this)
+    track(raw, TrackOpTypes.ITERATE)
+    return original.apply(raw, args.map(toObserverRaw))
+  }
+})
+
+const arrayHandlers = {
+  get (target, key, receiver) {
+    if (typeof key === 'string' && arraySearchMethods[key]) {
+      return arraySearchMethods[key]
+    }
+    const value = Reflect.get(target, key, receiver)
+    if (isArrayKey(key)) {
+      track(target, TrackOpTypes.GET, key)
+      // 和 defineReactive 的 getter 一样，同时收集元素自身的 dep
+      if (Dep.target && value && value.__ob__) {
+        value.__ob__.dep.depend()
+      }
+    }
+    return toObserverProxy(value)
+  },
+
+  // arr[i] = x / arr.length = n
+  set (target, key, value) {
+    if (!isArrayKey(key)) {
+      return Reflect.set(target, key, value)
+    }
+    value = toObserverRaw(value)
+    const oldValue = target[key]
+    const oldLength = target.length
+    target[key] = value
+    if (hasChanged(value, oldValue) || target.length !== oldLength) {
+      if (key !== 'length' && !target.__ob__.shallow) {
+        observe(value)
+      }
+      trigger(
+        target,
+        key === 'length' || oldLength > key ? TriggerOpTypes.SET : TriggerOpTypes.ADD,
+        key,
+        value,
+        oldValue
+      )
+    }
+    return true
+  },
+
+  deleteProperty (target, key) {
+    const hadKey = hasOwn(target, key)
+    const oldValue = target[key]
+    const result = Reflect.deleteProperty(target, key)
+    if (hadKey && result && isArrayKey(key)) {
+      trigger(target, TriggerOpTypes.DELETE, key, undefined, oldValue)
+    }
+    return result
+  }
+}
+
+const objectHandlers = {
+  get (target, key, receiver) {
+    // 已有的 key 由 defineReactive 的 getter 收集依赖；
+    // 读取不存在的 key 时收集对象的 dep，以便之后添加该 key 时能收到通知
+    if (typeof key !== 'symbol' && !(key in target)) {
+      track(target, TrackOpTypes.GET, key)
+    }
+    return toObserverProxy(Reflect.get(target, key, receiver))
+  },
+
+  // 新增的 key 和 Vue.set 一样处理，不再需要手动调用 Vue.set。
+  // Vue.set 拒绝写入时（Vue 实例、根 $data）返回 false，
+  // 与 Reflect.set 一致，严格模式下赋值会抛出 TypeError
+  set (target, key, value) {
+    value = toObserverRaw(value)
+    if (typeof key === 'symbol' || hasOwn(target, key)) {
+      return Reflect.set(target, key, value)
+    }
+    set(target, key, value)
+    return hasOwn(target, key)
+  },
+
+  deleteProperty (target, key) {
+    if (typeof key === 'symbol' || !hasOwn(target, key)) {
+      return Reflect.deleteProperty(target, key)
+    }
+    del(target, key)
+    return true
+  },
+
+  has (target, key) {
+    if (typeof key !== 'symbol') {
+      track(target, TrackOpTypes.HAS, key)
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target) {
+    track(target, TrackOpTypes.ITERATE)
+    return Reflect.ownKeys(target)
+  }
+}
@@ -0,0 +1,285 @@
+/* @flow */
+
+import { observe, shouldObserve } from './index'
+import { RefFlag, isRef } from './ref'
+import { hasProxy, toObserverProxy, toObserverRaw } from './proxy'
+import {
+  def,
+  warn,
+  hasOwn,
+  capitalize,
+  toRawType,
+  isCollection,
+  isPlainObject,
+  isServerRendering
+} from '../util/index'
+
+export const ReactiveFlags = {
+  IS_READONLY: '__v_isReadonly',
+  IS_SHALLOW: '__v_isShallow',
+  RAW: '__v_raw'
+}
+
+// readonly views are cached on the source object
+const rawToReadonlyFlag = '__v_rawToReadonly'
+const rawToShallowReadonlyFlag = '__v_rawToShallowReadonly'
+
+/**
+ * Make an object (or array, Map, Set) reactive outside of a
+ * component. The object is observed in place and returned, so it
+ * can be shared between components and standalone effects.
+ * When Proxy observation is enabled the proxy is returned instead.
+ */
+export function reactive<T> (target: T): T {
+  makeReactive(target, false)
+  return toObserverProxy(target)
+}
+
+/**
+ * Shallow version of reactive(): only the root level properties are
+ * reactive, nested values are stored and exposed as-is. Useful for
+ * large immutable payloads that would be expensive to walk.
+ */
+export function shallowReactive<T> (target: T): T {
+  makeReactive(target, true)
+  if (process.env.NODE_ENV !== 'production') {
+    const ob = (target: any) && (target: any).__ob__
+    if (ob && !ob.shallow) {
+      warn(`Target is already a deep reactive object, cannot make it shallow.`)
+    }
+  }
+  return toObserverProxy(target)
+}
+
+function makeReactive (target: any, shallow: boolean) {
+  const ob = observe(target, false, shallow)
+  if (
+    process.env.NODE_ENV !== 'production' &&
+    !ob &&
+    shouldObserve &&
+    !isServerRendering()
+  ) {
+    warn(`value cannot be made reactive: ${String(target)}`)
+  }
+}
+
+/**
+ * Check if a value has been made reactive. A readonly view is reactive
+ * if its source is.
+ */
+export function isReactive (value: any): boolean {
+  if (isReadonly(value)) {
+    return isReactive(value[ReactiveFlags.RAW])
+  }
+  return !!(value && value.__ob__)
+}
+
+export function isShallow (value: any): boolean {
+  return !!(value && (
+    value[ReactiveFlags.IS_SHALLOW] === true ||
+    (value.__ob__ && value.__ob__.shallow)
+  ))
+}
+
+export function isReadonly (value: any): boolean {
+  return !!(value && value[ReactiveFlags.IS_READONLY])
+}
+
+/**
+ * Return the source object of a readonly view or an observer proxy.
+ */
+export function toRaw<T> (observed: T): T {
+  const raw = observed && (observed: any)[ReactiveFlags.RAW]
+  return raw ? toRaw(raw) : toObserverRaw(observed)
+}
+
+/**
+ * Create a read-only view of an object, array, Map or Set. Reads go
+ * through to the source (and are tracked if it is reactive), nested
+ * values are wrapped in read-only views as well, and any attempt to
+ * write warns in development. Where Proxy is not available only plain
+ * objects are supported, and keys added to the source after the view
+ * has been created are not exposed.
+ */
+export function readonly<T> (target: T): T {
+  return createReadonly(target, false)
+}
+
+/**
+ * Shallow version of readonly(): only root level properties are
+ * read-only, nested values are exposed as-is.
+ */
+export function shallowReadonly<T> (target: T): T {
+  return createReadonly(target, true)
+}
+
+function createReadonly (target: any, shallow: boolean) {
+  // already a readonly view
+  if (isReadonly(target)) {
+    return target
+  }
+
+  if (!isPlainObject(target) && !(hasProxy && (Array.isArray(target) || isCollection(target)))) {
+    if (process.env.NODE_ENV !== 'production') {
+      if (Array.isArray(target)) {
+        warn(`Vue does not support readonly arrays in environments without Proxy.`)
+      } else if (isCollection(target)) {
+        warn(`Vue does not support readonly collection types in environments without Proxy.`)
+      } else {
+        warn(`value cannot be made readonly: ${String(target)}`)
+      }
+    }
+    return target
+  }
+
+  // already has a readonly view
+  const existingFlag = shallow ? rawToShallowReadonlyFlag : rawToReadonlyFlag
+  if (hasOwn(target, existingFlag)) {
+    return target[existingFlag]
+  }
+
+  const view = hasProxy
+    ? new Proxy(target, shallow ? shallowReadonlyHandlers : readonlyHandlers)
+    : createReadonlyView(target, shallow)
+  if (Object.isExtensible(target)) {
+    def(target, existingFlag, view)
+  }
+  return view
+}
+
+function toReadonly (value: any): any {
+  return isPlainObject(value) || Array.isArray(value) || isCollection(value)
+    ? readonly(value)
+    : value
+}
+
+function warnReadonly (type: string, key?: any) {
+  process.env.NODE_ENV !== 'production' && warn(
+    `${type} operation ${key !== undefined ? `on key "${String(key)}" ` : ``}` +
+    `failed: target is readonly.`
+  )
+}
+
+const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']
+
+function createReadonlyHandlers (shallow: boolean): Object {
+  const wrap = shallow ? (value: any) => value : toReadonly
+  return {
+    get (target: any, key: any, receiver: any) {
+      if (key === ReactiveFlags.IS_READONLY) {
+        return true
+      } else if (key === ReactiveFlags.RAW) {
+        return target
+      } else if (key === ReactiveFlags.IS_SHALLOW) {
+        return shallow || isShallow(target)
+      } else if (key === '__ob__') {
+        // 视图本身不是被观测的对象
+        return undefined
+      }
+      if (isCollection(target)) {
+        return getCollectionMember(target, key, receiver, wrap)
+      }
+      if (Array.isArray(target) && arrayMutators.indexOf(key) > -1) {
+        return () => warnReadonly(capitalize(key))
+      }
+      return wrap(Reflect.get(target, key))
+    },
+    set (target: any, key: any) {
+      warnReadonly('Set', key)
+      return true
+    },
+    deleteProperty (target: any, key: any) {
+      warnReadonly('Delete', key)
+      return true
+    }
+  }
+}
+
+const readonlyHandlers = hasProxy ? createReadonlyHandlers(false) : null
+const shallowReadonlyHandlers = hasProxy ? createReadonlyHandlers(true) : null
+
+// Map / Set 的方法依赖内部插槽，必须在原对象上调用
+function getCollectionMember (target: any, key: any, receiver: any, wrap: Function): any {
+  switch (key) {
+    case 'get':
+      return (k: any) => wrap(target.get(k))
+    case 'has':
+      return (k: any) => target.has(k)
+    case 'forEach':
+      return (cb: Function, thisArg?: any) => target.forEach((value, k) => {
+        cb.call(thisArg, wrap(value), wrap(k), receiver)
+      })
+    case 'set':
+    case 'delete':
+      return (k: any) => {
+        warnReadonly(capitalize(key), k)
+        return key === 'set' ? receiver : false
+      }
+    case 'add':
+    case 'clear':
+      return () => {
+        warnReadonly(capitalize(key))
+        return key === 'add' ? receiver : undefined
+      }
+    case 'keys':
+    case 'values':
+    case 'entries':
+    case Symbol.iterator:
+      return () => createReadonlyIterator(
+        target[key](),
+        key === 'entries' || (key === Symbol.iterator && toRawType(target) === 'Map'),
+        wrap
+      )
+  }
+  return Reflect.get(target, key, target)
+}
+
+function createReadonlyIterator (iterator: any, isEntries: boolean, wrap: Function): any {
+  const res: any = {
+    next () {
+      const { value, done } = iterator.next()
+      return done
+        ? { value, done }
+        : { value: isEntries ? [wrap(value[0]), wrap(value[1])] : wrap(value), done }
+    }
+  }
+  res[Symbol.iterator] = () => res
+  return res
+}
+
+// 不支持 Proxy 时的降级实现：为源对象已有的每个 key 定义只读的访问器
+function createReadonlyView (target: any, shallow: boolean) {
+  const view = Object.create(Object.getPrototypeOf(target))
+  def(view, ReactiveFlags.IS_READONLY, true)
+  def(view, ReactiveFlags.RAW, target)
+  if (isRef(target)) {
+    def(view, RefFlag, true)
+  }
+  if (shallow || isShallow(target)) {
+    def(view, ReactiveFlags.IS_SHALLOW, true)
+  }
+  const keys = Object.keys(target)
+  for (let i = 0; i < keys.length; i++) {
+    defineReadonlyProperty(view, target, keys[i], shallow)
+  }
+  return view
+}
+
+function defineReadonlyProperty (
+  view: any,
+  target: any,
+  key: string,
+  shallow: boolean
+) {
+  Object.defineProperty(view, key, {
+    enumerable: true,
+    configurable: true,
+    get () {
+      const val = target[key]
+      return shallow ? val : toReadonly(val)
+    },
+    set () {
+      warnReadonly('Set', key)
+    }
+  })
+}
@@ -0,0 +1,40 @@
+/* @flow */
+
+import { defineReactive } from './index'
+import { def } from '../util/index'
+
+export const RefFlag = '__v_isRef'
+
+export type Ref<T> = {
+  value: T
+};
+
+/**
+ * Check if a value is a ref object.
+ */
+export function isRef (r: any): boolean {
+  return !!(r && r[RefFlag] === true)
+}
+
+/**
+ * Create a reactive and mutable ref object holding a single value,
+ * exposed through its `.value` property. Object values are made
+ * deeply reactive, same as data properties.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r: any = {}
+  def(r, RefFlag, true)
+  defineReactive(r, 'value', value)
+  return r
+}
+
+/**
+ * Return the inner value if the argument is a ref, the argument
+ * itself otherwise.
+ */
+export function unref<T> (r: T | Ref<T>): T {
+  return isRef(r) ? (r: any).value : r
+}
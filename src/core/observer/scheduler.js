@@ -1,6 +1,7 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
@@ -12,13 +13,46 @@ import {
   isIE
 } from '../util/index'
 
+// default of config.scheduler.maxUpdateCount
 export const MAX_UPDATE_COUNT = 100
 
+export type SchedulerLoopEntry = {
+  // expression of the watcher, only available in development builds
+  expression: string,
+  // name of the component owning the watcher
+  component: ?string,
+  // the reactive key whose change queued the watcher
+  key: any
+};
+
+export type SchedulerLoopReport = {
+  maxUpdateCount: number,
+  // watchers that caused the loop, starting with the one that hit the limit
+  chain: Array<SchedulerLoopEntry>
+};
+
+export type SchedulerFlushInfo = {
+  // timestamp at which the flush started (see currentFlushTimestamp)
+  start: number,
+  duration: number,
+  // number of watcher runs in the flush
+  count: number
+};
+
+type TriggerCause = {
+  watcher: ?Watcher,
+  key: any
+};
+
 // 该文件中定义了一些全局的变量
 const queue: Array<Watcher> = [] // watcher 数组 
 const activatedChildren: Array<Component> = [] // 激活的children
 let has: { [key: number]: ?true } = {} // hash对象，判断 watcher 不能重复添加
+const postFlushQueue: Array<Watcher> = [] // flush: 'post' 的 watcher，在 updated 钩子之后执行
+let postHas: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {} // 循环更新
+let causes: { [key: number]: TriggerCause } = {} // 每个 watcher 被谁触发，用于无限循环的诊断
+let currentWatcher: ?Watcher = null // 正在执行的 watcher
 let waiting = false // 标志位
 let flushing = false // 标志位
 let index = 0 // 当前 watcher 的索引
@@ -28,11 +62,12 @@ let index = 0 // 当前 watcher 的索引
  * 这些控制流程状态的一些变量恢复到初始值，把 watcher 队列清空
  */
 function resetSchedulerState () {
-  index = queue.length = activatedChildren.length = 0
+  index = queue.length = activatedChildren.length = postFlushQueue.length = 0
   has = {}
-  if (process.env.NODE_ENV !== 'production') {
-    circular = {}
-  }
+  postHas = {}
+  circular = {}
+  causes = {}
+  currentWatcher = null
   waiting = flushing = false
 }
 
@@ -74,6 +109,10 @@ function flushSchedulerQueue () {
   currentFlushTimestamp = getNow()
   flushing = true
   let watcher, id
+  const { onInfiniteLoop, onFlush } = config.scheduler
+  const maxUpdateCount = config.scheduler.maxUpdateCount || MAX_UPDATE_COUNT
+  // 开发环境下始终检测无限循环；生产环境下配置了 onInfiniteLoop 才检测
+  const checkCircular = process.env.NODE_ENV !== 'production' || !!onInfiniteLoop
 
   // Sort queue before flush. 对队列做了按照id值从小到大的排序，确保以下几点:
   // 1.组件的更新由父到子；因为父组件的创建过程是先于子的，所以 watcher 的创建也是先父后子， 执行顺序也应该保持先父后子；
@@ -86,30 +125,26 @@ function flushSchedulerQueue () {
   for (index = 0; index < queue.length; index++) {
     // 遍历 queue ，逐一对 watcher 执行 watcher.run()
     watcher = queue[index]
+    id = watcher.id
+    // check and stop circular updates: a watcher that keeps being queued
+    // again in the same flush, either by itself or through other watchers.
+    // 判断是否存在无限循环更新的情况
+    if (checkCircular) {
+      if (circular[id] > maxUpdateCount) {
+        reportInfiniteLoop(watcher, maxUpdateCount)
+        break
+      }
+      circular[id] = (circular[id] || 0) + 1
+    }
     if (watcher.before) {
       // 调用了生命周期的钩子beforeUpdate
       watcher.before()
     }
-    id = watcher.id
     has[id] = null
     // 该方法定义在 src/core/observer/watcher.js 中
+    currentWatcher = watcher
     watcher.run()
-    // in dev build, check and stop circular updates.
-    // 判断是否存在无限循环更新的情况
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
-    }
+    currentWatcher = null
   }
 
   // keep copies of post queues before resetting state
@@ -117,6 +152,7 @@ function flushSchedulerQueue () {
   const activatedQueue = activatedChildren.slice()
   // updatedQueue也是不断添加的,queue的副本
   const updatedQueue = queue.slice()
+  const postQueue = postFlushQueue.slice()
 
   // 状态恢复
   resetSchedulerState()
@@ -124,6 +160,16 @@ function flushSchedulerQueue () {
   // call component updated and activated hooks
   callActivatedHooks(activatedQueue)
   callUpdatedHooks(updatedQueue)
+  // run post-flush watchers once the DOM has been patched
+  flushPostQueue(postQueue)
+
+  if (onFlush) {
+    onFlush({
+      start: currentFlushTimestamp,
+      duration: getNow() - currentFlushTimestamp,
+      count: updatedQueue.length + postQueue.length
+    })
+  }
 
   // devtool hook
   /* istanbul ignore if */
@@ -132,6 +178,57 @@ function flushSchedulerQueue () {
   }
 }
 
+function reportInfiniteLoop (watcher: Watcher, maxUpdateCount: number) {
+  // 沿着触发关系回溯，找出形成循环的 watcher 链
+  const chain = []
+  const seen = []
+  let current = watcher
+  while (current && seen.indexOf(current) < 0) {
+    seen.push(current)
+    const cause = causes[current.id]
+    chain.push({
+      expression: current.expression || '',
+      component: getComponentName(current.vm),
+      key: cause && cause.key
+    })
+    current = cause && cause.watcher
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      'You may have an infinite update loop ' + (
+        watcher.user
+          ? `in watcher with expression "${watcher.expression}"`
+          : `in a component render function.`
+      ) + formatLoopChain(chain),
+      watcher.vm
+    )
+  }
+  const onInfiniteLoop = config.scheduler.onInfiniteLoop
+  if (onInfiniteLoop) {
+    onInfiniteLoop({ maxUpdateCount, chain })
+  }
+}
+
+function getComponentName (vm: ?Component): ?string {
+  if (!vm || !vm.$options) {
+    return null
+  }
+  if (vm.$root === vm) {
+    return 'Root'
+  }
+  const options = vm.$options
+  return options.name || options._componentTag || 'Anonymous'
+}
+
+function formatLoopChain (chain: Array<SchedulerLoopEntry>): string {
+  return '\n\nUpdate chain:\n' + chain.map(entry =>
+    `  ${entry.expression ? `"${entry.expression}"` : 'watcher'}` +
+    (entry.component ? ` in <${entry.component}>` : '') +
+    (entry.key !== undefined ? ` triggered by "${String(entry.key)}"` : '')
+  ).join('\n')
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   // 该方法用于遍历queue
@@ -139,13 +236,20 @@ function callUpdatedHooks (queue) {
     const watcher = queue[i]
     const vm = watcher.vm
     // 当前watcher为vm._watcher，即渲染watcher，且组件已经mounted，才会执行updated
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       // 调用了生命周期的钩子updated
       callHook(vm, 'updated')
     }
   }
 }
 
+function flushPostQueue (queue: Array<Watcher>) {
+  queue.sort((a, b) => a.id - b.id)
+  for (let i = 0; i < queue.length; i++) {
+    queue[i].run()
+  }
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -170,11 +274,15 @@ function callActivatedHooks (queue) {
  * 情况：一个 watcher 订阅了多个数据，如果多个数据改变，这里 queueWatcher 保证了同一 watcher 只会被执行一次
  * 作用：不会每次数据改变都触发 watcher 的回调，而是把这些 watcher 先添加到一个队列里，然后在 nextTick 后执行flushSchedulerQueue
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
   if (has[id] == null) {
     // 使用 has 对象保证同一个 watcher 只添加一次
     has[id] = true
+    if (process.env.NODE_ENV !== 'production' || config.scheduler.onInfiniteLoop) {
+      // 记录触发该 watcher 的 watcher 和 key
+      causes[id] = { watcher: currentWatcher, key: info && info.key }
+    }
     if (!flushing) {
       queue.push(watcher)
     } else {
@@ -188,19 +296,37 @@ export function queueWatcher (watcher: Watcher) {
       // array.splice(start 起始位置[, deleteCount 删除个数[, item1 待添加内容[, item2[, ...]]]])
       queue.splice(i + 1, 0, watcher)
     }
-    // queue the flush
-    if (!waiting) {
-      // 用 waiting 保证 nextTick(flushSchedulerQueue) 只被调用一次
-      waiting = true
-
-      if (process.env.NODE_ENV !== 'production' && !config.async) {
-        flushSchedulerQueue()
-        return
-      }
-      // 在下一个 tick，也就是异步的去执行
-      // flushSchedulerQueue 定义在当前页面，用于遍历队列
-      // 调用的地方1:
-      nextTick(flushSchedulerQueue)
+    queueFlush()
+  }
+}
+
+/**
+ * Push a watcher with `flush: 'post'` into the post-flush queue. These
+ * watchers run after the component updated hooks of the flush, i.e.
+ * once the DOM reflects the new state.
+ */
+export function queuePostFlushWatcher (watcher: Watcher) {
+  const id = watcher.id
+  if (postHas[id] == null) {
+    postHas[id] = true
+    postFlushQueue.push(watcher)
+    queueFlush()
+  }
+}
+
+function queueFlush () {
+  // queue the flush
+  if (!waiting) {
+    // 用 waiting 保证 nextTick(flushSchedulerQueue) 只被调用一次
+    waiting = true
+
+    if (process.env.NODE_ENV !== 'production' && !config.async) {
+      flushSchedulerQueue()
+      return
     }
+    // 在下一个 tick，也就是异步的去执行
+    // flushSchedulerQueue 定义在当前页面，用于遍历队列
+    // 调用的地方1:
+    nextTick(flushSchedulerQueue)
   }
 }
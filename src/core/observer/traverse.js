@@ -1,6 +1,6 @@
 /* @flow */
 
-import { _Set as Set, isObject } from '../util/index'
+import { _Set as Set, isObject, isCollection } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
 
@@ -10,20 +10,27 @@ const seenObjects = new Set()
  * Recursively traverse an object to evoke all converted
  * getters, so that every nested property inside the object
  * is collected as a "deep" dependency.
+ * When a depth is given, traversal stops after that many levels of
+ * nested properties.
  * 作用：深度遍历一个对象/数组，触发每一个值的 getter，方便收集依赖
  */
-export function traverse (val: any) {
-  _traverse(val, seenObjects)
+export function traverse (val: any, depth?: number) {
+  _traverse(val, seenObjects, depth === undefined ? Infinity : depth)
   seenObjects.clear()
 }
 
-function _traverse (val: any, seen: SimpleSet) {
+function _traverse (val: any, seen: SimpleSet, depth: number) {
   let i, keys
   const isA = Array.isArray(val)
   if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
     return
   }
-  if (val.__ob__) {
+  if (depth <= 0) {
+    return
+  }
+  depth--
+  // 限制了深度时遍历一定会结束，不能用 seen 去重：同一个对象可能先在更深的层级被访问到
+  if (val.__ob__ && depth === Infinity) {
     // 把每个值的对象的 dep 的 id 作为 key
     const depId = val.__ob__.dep.id
     if (seen.has(depId)) {
@@ -34,11 +41,14 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     // 如果传入的是一个数组，就进行递归调用
     i = val.length
-    while (i--) _traverse(val[i], seen)
+    while (i--) _traverse(val[i], seen, depth)
+  } else if (isCollection(val)) {
+    // Map / Set 通过 forEach 遍历，同时会收集迭代依赖
+    val.forEach(v => _traverse(v, seen, depth))
   } else {
     // 如果传入的是一个对象，就遍历 key 值调用
     keys = Object.keys(val)
     i = keys.length
-    while (i--) _traverse(val[keys[i]], seen)
+    while (i--) _traverse(val[keys[i]], seen, depth)
   }
 }
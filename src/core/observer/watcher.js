@@ -11,10 +11,12 @@ import {
 } from '../util/index'
 
 import { traverse } from './traverse'
-import { queueWatcher } from './scheduler'
+import { queueWatcher, queuePostFlushWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { activeEffectScope, recordEffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEventExtraInfo } from './dep'
 
 let uid = 0
 
@@ -24,14 +26,19 @@ let uid = 0
  * Watcher 是一个 Class，在它的构造函数中，定义了一些和 Dep 相关的属性
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
   deep: boolean;
+  // deep 为数字时，traverse 的最大深度
+  depth: number;
+  // 侦听多个数据源时为 true，value 为各个数据源的值组成的数组
+  multi: boolean;
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
   // 定义了一些和 Dep 相关的属性
@@ -42,14 +49,24 @@ export default class Watcher {
   before: ?Function;
   getter: Function;
   value: any;
+  // 回调中通过 onCleanup 注册的清理函数
+  cleanups: ?Array<Function>;
+  // lazy watcher 由干净变脏时调用的回调，见 $onInvalidate
+  invalidateCbs: ?Array<Function>;
+  // lazy watcher 自身的订阅者，用于没有依赖变化时也能通知读取者，见 $recompute
+  dep: ?Dep;
+
+  // dev only, see DebuggerEvent in ./dep
+  onTrack: ?Function;
+  onTrigger: ?Function;
 
   // computed watcher 实例化 new Watcher 的时候执行构造函数 
   // computed watcher 传入参数：new Watcher( vm, getter || noop , noop , { lazy: true } )
   constructor (
-    // vue的实例
-    vm: Component,
+    // vue的实例，独立于组件的 effect / computed 中为 null
+    vm: ?Component,
     // 用户可以会传一个更新函数
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     // 回调函数
     cb: Function,
     // 配置
@@ -58,29 +75,52 @@ export default class Watcher {
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    // computed watcher 不是渲染 watcher，不会赋值
-    if (isRenderWatcher) {
-      // 如果是渲染watcher，把当前的watcher实例赋值给vm._watcher
-      // vm._watcher存储的是渲染watcher
-      vm._watcher = this
+    if (vm) {
+      // computed watcher 不是渲染 watcher，不会赋值
+      if (isRenderWatcher) {
+        // 如果是渲染watcher，把当前的watcher实例赋值给vm._watcher
+        // vm._watcher存储的是渲染watcher
+        vm._watcher = this
+      }
+      // 把computed watcher push 到 vm._watchers 中
+      vm._watchers.push(this)
     }
-    // 把computed watcher push 到 vm._watchers 中
-    vm._watchers.push(this) 
+    // 收集到当前激活的 effect scope 中；组件的 scope 只收集属于该组件的 watcher，
+    // 以及 setup() 中创建的独立 watcher
+    recordEffectScope(
+      this,
+      activeEffectScope && (!activeEffectScope._vm || !vm)
+        ? activeEffectScope
+        : vm
+          ? vm._scope
+          : null
+    )
     // options-配置 
     if (options) {
       this.deep = !!options.deep
+      this.depth = typeof options.deep === 'number' ? options.deep : Infinity
       this.user = !!options.user
       // computed watcher 执行时，注意这里的 lazy 为 true
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      // flush: 'post' 的 watcher 在 DOM 更新完成（updated 钩子之后）再执行
+      this.post = options.flush === 'post'
       // 保存了before函数
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = false
+      this.depth = Infinity
     }
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
+    this.cleanups = null
+    this.invalidateCbs = null
+    this.dep = this.lazy ? new Dep() : null
     // computed watcher 执行时，注意这里 dirty 为 true
     this.dirty = this.lazy // for lazy watchers
     this.deps = [] // 表示 Watcher 实例持有的 Dep 实例的数组
@@ -94,22 +134,19 @@ export default class Watcher {
     // 渲染 Watcher 下，就是updateComponent
     // computed watcher 下，就是 userDef ==> 对应于 computed 中定义的函数 
     // 侦听属性 watch 下，expOrFn 书写为函数/字符串
+    this.multi = false
     if (typeof expOrFn === 'function') {
       // 如果expOrFn是函数的话，直接赋值给Watcher的getter
       this.getter = expOrFn
-    } else {
-      // 如果是个 表达式/字符串 的话，要转换成为一个函数
-      // parsePath 方法定义在 src/core/util/lang.js，返回一个函数
-      this.getter = parsePath(expOrFn)
-      if (!this.getter) {
-        this.getter = noop
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    } else if (Array.isArray(expOrFn)) {
+      // 侦听多个数据源：getter 返回由各个数据源的值组成的数组
+      this.multi = true
+      const getters = expOrFn.map(source => createSourceGetter(source, vm))
+      this.getter = function (vm) {
+        return getters.map(getter => getter.call(vm, vm))
       }
+    } else {
+      this.getter = createSourceGetter(expOrFn, vm)
     }
     // 如果是在渲染 watcher 情况下，就会执行get()方法求值，用于依赖收集
     // 如果是在 computed watcher 情况下，给 value 赋值 undefined ，不会再执行 get 方法进行 依赖收集
@@ -147,7 +184,14 @@ export default class Watcher {
       // "touch" every property so they are all tracked as
       // dependencies for deep watching
       if (this.deep) {
-        traverse(value)
+        if (this.multi) {
+          // 深度限制作用于每个数据源，而不是包裹它们的数组
+          for (let i = 0; i < value.length; i++) {
+            traverse(value[i], this.depth)
+          }
+        } else {
+          traverse(value, this.depth)
+        }
       }
       // 将watcher pop出targetStack数组，恢复上一次正在进行计算的watcher
       popTarget()
@@ -209,17 +253,36 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else 对于 Watcher 的不同状态，会执行不同的逻辑*/
     // lazy 是给 computed watcher 的参数，computed watcher 的依赖发生变化时
     if (this.lazy) {
-      this.dirty = true
+      this.invalidate()
     } else if (this.sync) {
       this.run()
+    } else if (this.post) {
+      queuePostFlushWatcher(this)
     } else {
       // 在一般组件数据更新的场景，会走到这里
       // 侦听属性 watch 要么执行 run，要么执行 queueWatcher（把当前的 user watcher 放到watcher 的执行队列中）
-      queueWatcher(this) // 方法定义在src/core/observer/scheduler.js
+      queueWatcher(this, info) // 方法定义在src/core/observer/scheduler.js
+    }
+  }
+
+  /**
+   * Mark a lazy watcher as dirty, calling the callbacks registered with
+   * $onInvalidate when it turns from clean to dirty.
+   */
+  invalidate () {
+    if (!this.dirty) {
+      this.dirty = true
+      // 只在由干净变脏时通知，多次依赖变化在重新求值前只通知一次
+      if (this.invalidateCbs) {
+        const cbs = this.invalidateCbs.slice()
+        for (let i = 0; i < cbs.length; i++) {
+          cbs[i]()
+        }
+      }
     }
   }
 
@@ -233,9 +296,11 @@ export default class Watcher {
       // 先通过 get 方法获得当前的值（新值）-->会触发 value = this.getter.call(vm, vm) --> 即回调函数 updareComponent
       const value = this.get()
       if (
-        value !== this.value ||
-        // Deep watchers and watchers on Object/Arrays should fire even when the value is the same, because the value may have mutated.
-        isObject(value) ||
+        (this.multi
+          ? value.some((v, i) => v !== this.value[i] || isObject(v))
+          : value !== this.value ||
+            // Deep watchers and watchers on Object/Arrays should fire even when the value is the same, because the value may have mutated.
+            isObject(value)) ||
         this.deep
       ) {
         // 如果新旧值不等/新值是对象类型/deep模式
@@ -243,8 +308,10 @@ export default class Watcher {
         const oldValue = this.value
         this.value = value
         if (this.user) {
+          // 执行新的回调之前，先清理上一次回调留下的副作用
+          this.runCleanup()
           try {
-            this.cb.call(this.vm, value, oldValue)
+            this.cb.call(this.vm, value, oldValue, fn => this.onCleanup(fn))
           } catch (e) {
             handleError(e, this.vm, `callback for watcher "${this.expression}"`)
           }
@@ -276,6 +343,32 @@ export default class Watcher {
       // deps.depend -> Dep.target.addDep(this) -> dep.addSub(this) -> this.subs.push(sub) -> 后续变化的时候通知的是 subs 这个数组
       this.deps[i].depend()
     }
+    if (this.dep) {
+      this.dep.depend()
+    }
+  }
+
+  /**
+   * Register a function to be called before the callback runs again,
+   * or when the watcher is torn down. Passed to user callbacks as their
+   * third argument, so that stale async work can be cancelled.
+   */
+  onCleanup (fn: Function) {
+    (this.cleanups || (this.cleanups = [])).push(fn)
+  }
+
+  runCleanup () {
+    const cleanups = this.cleanups
+    if (cleanups) {
+      this.cleanups = null
+      for (let i = 0; i < cleanups.length; i++) {
+        try {
+          cleanups[i]()
+        } catch (e) {
+          handleError(e, this.vm, `cleanup for watcher "${this.expression}"`)
+        }
+      }
+    }
   }
 
   /**
@@ -286,14 +379,35 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
+      this.runCleanup()
       this.active = false
     }
   }
 }
+
+function createSourceGetter (source: string | Function, vm: ?Component): Function {
+  if (typeof source === 'function') {
+    return source
+  }
+  // 如果是个 表达式/字符串 的话，要转换成为一个函数
+  // parsePath 方法定义在 src/core/util/lang.js，返回一个函数
+  const getter = parsePath(source)
+  if (!getter) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${source}" ` +
+      'Watcher only accepts simple dot-delimited paths. ' +
+      'For full control, use a function instead.',
+      vm
+    )
+    return noop
+  }
+  return getter
+}
@@ -17,16 +17,19 @@ if (process.env.NODE_ENV !== 'production') {
 
   warn = (msg, vm) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    const app = vm && vm.$options && vm.$options._app
+    const warnHandler = (app && app.config.warnHandler) || config.warnHandler
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
-    } else if (hasConsole && (!config.silent)) {
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, trace)
+    } else if (hasConsole && !(app ? app.config.silent : config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
   }
 
   tip = (msg, vm) => {
-    if (hasConsole && (!config.silent)) {
+    const app = vm && vm.$options && vm.$options._app
+    if (hasConsole && !(app ? app.config.silent : config.silent)) {
       console.warn(`[Vue tip]: ${msg}` + (
         vm ? generateComponentTrace(vm) : ''
       ))
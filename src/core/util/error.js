@@ -55,10 +55,13 @@ export function invokeWithErrorHandling (
   return res
 }
 
-function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+export function globalHandleError (err: Error, vm: any, info: string) {
+  // 应用（createApp）自己的 errorHandler 优先于全局配置
+  const app = vm && vm.$options && vm.$options._app
+  const errorHandler = (app && app.config.errorHandler) || config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
@@ -0,0 +1,209 @@
+/* @flow */
+
+import { isPlainObject } from 'shared/util'
+import { mergeOptions, getMergeResolution, getMergeStrategies } from './options'
+
+export type ComponentInfo = {
+  name: ?string;
+  file: ?string;
+  tag: ?string;
+};
+
+export type MixinSource = {
+  type: 'global' | 'scoped' | 'extends' | 'mixin' | 'component';
+  name: ?string;
+  options: Object;
+};
+
+export type OptionReport = {
+  key: string;
+  resolution: string;
+  strategy: ?Function;
+  sources: Array<MixinSource>;
+};
+
+export type MixinReport = {
+  sources: Array<MixinSource>;
+  options: Array<OptionReport>;
+  conflicts: Array<OptionReport>;
+};
+
+function getComponentInfo (options: Object): ComponentInfo {
+  return {
+    name: options.name || null,
+    file: options.__file || null,
+    tag: options._componentTag || null
+  }
+}
+
+function matchScopedMixins (Ctor: Class<Component>, options: Object): Array<Object> {
+  const res = []
+  let info
+  let cur = Ctor
+  while (cur) {
+    const scoped = cur._scopedMixins
+    if (scoped) {
+      info = info || getComponentInfo(options)
+      const matched = []
+      for (let i = 0; i < scoped.length; i++) {
+        if (scoped[i].predicate(info)) {
+          matched.push(scoped[i].mixin)
+        }
+      }
+      // 外层构造器上注册的作用域 mixin 优先级更低，排在前面
+      res.unshift.apply(res, matched)
+    }
+    cur = cur.super
+  }
+  return res
+}
+
+/**
+ * Merge the scoped mixins (registered with a predicate through
+ * Vue.mixin) matching an instance. Returns null when there are none,
+ * so that instances pay nothing unless scoped mixins are used.
+ */
+export function resolveScopedMixins (Ctor: Class<Component>, options: Object): ?Object {
+  const mixins = matchScopedMixins(Ctor, options)
+  if (!mixins.length) {
+    return null
+  }
+  let res = {}
+  for (let i = 0; i < mixins.length; i++) {
+    res = mergeOptions(res, mixins[i])
+  }
+  return res
+}
+
+// 与 mergeOptions 的顺序一致：先 extends，再 mixins，最后是选项自身
+function collectOptionsSources (
+  options: Object,
+  type: $PropertyType<MixinSource, 'type'>,
+  sources: Array<MixinSource>
+) {
+  if (typeof options === 'function') {
+    options = options.extendOptions || options.options
+  }
+  const childType = type === 'component' ? null : type
+  if (options.extends) {
+    collectOptionsSources(options.extends, childType || 'extends', sources)
+  }
+  if (options.mixins) {
+    for (let i = 0; i < options.mixins.length; i++) {
+      collectOptionsSources(options.mixins[i], childType || 'mixin', sources)
+    }
+  }
+  sources.push({
+    type,
+    name: options.name || options.__file || null,
+    options
+  })
+}
+
+function collectConstructorSources (Ctor: Class<Component>, sources: Array<MixinSource>) {
+  if (Ctor.super) {
+    collectConstructorSources(Ctor.super, sources)
+    collectOptionsSources(Ctor.extendOptions, 'component', sources)
+  }
+  // 通过 Ctor.mixin() 注册的 mixin 在构造器自身的选项之后合并
+  const mixins = Ctor._mixins
+  if (mixins) {
+    for (let i = 0; i < mixins.length; i++) {
+      collectOptionsSources(mixins[i], 'global', sources)
+    }
+  }
+}
+
+function getSubKeys (value: any): ?Array<string> {
+  if (Array.isArray(value)) {
+    // props / inject / emits 的数组写法
+    return value.filter(key => typeof key === 'string')
+  }
+  return isPlainObject(value) ? Object.keys(value) : null
+}
+
+/**
+ * Report which mixins contribute to a component, and for every option
+ * (or entry of an object option, e.g. `methods.save`) which sources
+ * define it, in merge order, and how the merge strategy resolves them.
+ * Merge order is also hook call order: matching scoped mixins come
+ * first, then global mixins, extends, mixins and the component itself.
+ * `target` can be an instance, a constructor or component options, the
+ * latter being resolved as if extended from `Ctor`. Root instances
+ * created with `new Vue(options)` report the sources of their
+ * constructor only: pass their options to include them.
+ */
+export function inspectMixins (
+  Ctor: Class<Component>,
+  target: Component | Class<Component> | Object
+): MixinReport {
+  let options, strategies
+  const sources = []
+  if (target._isVue) {
+    options = target.$options
+    collectConstructorSources(target.constructor, sources)
+  } else if (typeof target === 'function') {
+    options = target.options
+    collectConstructorSources(target, sources)
+  } else {
+    options = target
+    collectConstructorSources(Ctor, sources)
+    collectOptionsSources(target, 'component', sources)
+    strategies = getMergeStrategies(Ctor.options)
+  }
+  const scoped = matchScopedMixins(
+    target._isVue ? target.constructor : typeof target === 'function' ? target : Ctor,
+    options
+  )
+  for (let i = scoped.length - 1; i >= 0; i--) {
+    sources.unshift({
+      type: 'scoped',
+      name: scoped[i].name || scoped[i].__file || null,
+      options: scoped[i]
+    })
+  }
+
+  strategies = strategies || getMergeStrategies(options)
+  const reports = []
+  const map = Object.create(null)
+  const record = (key: string, optionKey: string, resolution: string, source: MixinSource) => {
+    let report = map[key]
+    if (!report) {
+      report = map[key] = {
+        key,
+        resolution,
+        strategy: strategies[optionKey] || null,
+        sources: []
+      }
+      reports.push(report)
+    }
+    report.sources.push(source)
+  }
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i]
+    const keys = Object.keys(source.options)
+    for (let j = 0; j < keys.length; j++) {
+      const key = keys[j]
+      if (key === 'mixins' || key === 'extends' || key.charAt(0) === '_') {
+        continue
+      }
+      const resolution = getMergeResolution(key, strategies)
+      const subKeys = resolution === 'merge' || key === 'watch'
+        ? getSubKeys(source.options[key])
+        : null
+      if (subKeys) {
+        // 对象类选项按键合并：watch 的同名侦听器都会保留，其余以后者为准
+        for (let k = 0; k < subKeys.length; k++) {
+          record(`${key}.${subKeys[k]}`, key, key === 'watch' ? 'concat' : 'override', source)
+        }
+      } else {
+        record(key, key, resolution, source)
+      }
+    }
+  }
+  return {
+    sources,
+    options: reports,
+    conflicts: reports.filter(report => report.sources.length > 1)
+  }
+}
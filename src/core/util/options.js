@@ -245,6 +245,7 @@ strats.watch = function (
 strats.props =
 strats.methods =
 strats.inject =
+strats.emits =
 strats.computed = function (
   parentVal: ?Object,
   childVal: ?Object,
@@ -271,6 +272,34 @@ const defaultStrat = function (parentVal: any, childVal: any): any {
     : childVal
 }
 
+// 内置策略的快照，用于识别通过 config.optionMergeStrategies 自定义（或覆盖）的策略
+const builtInStrats = extend({}, strats)
+
+/**
+ * Describe how conflicting values of an option are resolved by its merge
+ * strategy: `concat` keeps all of them (hooks, watchers), `merge` combines
+ * them key by key with later values taking precedence, `override` keeps
+ * the later value and `custom` is a user-defined strategy.
+ */
+export function getMergeResolution (
+  key: string,
+  strategies?: { [key: string]: Function } = strats
+): string {
+  const strat = strategies[key]
+  if (!strat) {
+    return 'override'
+  }
+  if (strat !== builtInStrats[key]) {
+    return 'custom'
+  }
+  if (key === 'watch' || LIFECYCLE_HOOKS.indexOf(key) > -1) {
+    return 'concat'
+  }
+  return key === 'el' || key === 'propsData'
+    ? 'override'
+    : 'merge'
+}
+
 /**
  * Validate component names
  */
@@ -361,6 +390,40 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize declared events into Object-based format, mapping each
+ * event name to its payload validator (or null).
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const normalized = options.emits = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (typeof val === 'function' || val == null) {
+        normalized[key] = val || null
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `Invalid validator for event "${key}" in option "emits": ` +
+          `expected a Function or null, but got ${toRawType(val)}.`,
+          vm
+        )
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -408,6 +471,7 @@ export function mergeOptions (
   // 进行规范化
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   normalizeDirectives(child)
 
   // Apply extends and mixins on the child options,
@@ -429,6 +493,7 @@ export function mergeOptions (
 
   // 定义最终返回值 
   const options = {}
+  const strategies = getMergeStrategies(parent)
   let key
   for (key in parent) {
     mergeField(key)
@@ -441,12 +506,21 @@ export function mergeOptions (
   }
   function mergeField (key) {
     // 通过key拿到不同的strat函数，就是不同的合并策略
-    const strat = strats[key] || defaultStrat
+    const strat = strategies[key] || defaultStrat
     options[key] = strat(parent[key], child[key], vm, key)
   }
   return options
 }
 
+/**
+ * The merge strategies for options extended from `parent`: components of
+ * an app (createApp) use the strategies of the app config.
+ */
+export function getMergeStrategies (parent: Object): { [key: string]: Function } {
+  const app = parent._app
+  return app ? app.config.optionMergeStrategies : strats
+}
+
 /**
  * Resolve an asset.
  * This function is used because child instances need access
@@ -15,7 +15,11 @@ type PropOptions = {
   type: Function | Array<Function> | null,
   default: any,
   required: ?boolean,
-  validator: ?Function
+  validator: ?Function,
+  oneOf: ?Array<any>,
+  arrayOf: any,
+  shape: ?Object,
+  coerce: ?Function
 };
 
 export function validateProp (
@@ -50,6 +54,14 @@ export function validateProp (
     toggleObserving(true)
     observe(value)
     toggleObserving(prevShouldObserve)
+  } else if (!absent && prop.coerce) {
+    // transform incoming values before validation, defaults are left as is.
+    // the coerced value may be a fresh object, observe it like defaults.
+    value = prop.coerce(value)
+    const prevShouldObserve = shouldObserve
+    toggleObserving(true)
+    observe(value)
+    toggleObserving(prevShouldObserve)
   }
   if (
     process.env.NODE_ENV !== 'production' &&
@@ -111,6 +123,19 @@ function assertProp (
     )
     return
   }
+  const message = checkValue(prop, name, value)
+  if (message) {
+    warn(message, vm)
+  }
+}
+
+/**
+ * Check a value against a prop definition, including the elements of
+ * `arrayOf` and the properties of `shape`, which are checked as nested
+ * props named like "items[0]" or "user.name".
+ * Returns the message of the first failed check.
+ */
+function checkValue (prop: PropOptions, name: string, value: any): ?string {
   if (value == null && !prop.required) {
     return
   }
@@ -127,25 +152,66 @@ function assertProp (
       valid = assertedType.valid
     }
   }
-
   if (!valid) {
-    warn(
-      getInvalidTypeMessage(name, value, expectedTypes),
-      vm
-    )
-    return
+    return getInvalidTypeMessage(name, value, expectedTypes)
   }
+
+  const oneOf = prop.oneOf
+  if (oneOf && oneOf.indexOf(value) < 0) {
+    return `Invalid prop: value check failed for prop "${name}".` +
+      ` Expected one of ${oneOf.map(formatValue).join(', ')}, got ${formatValue(value)}.`
+  }
+
+  if (prop.arrayOf && Array.isArray(value)) {
+    const item = normalizePropDefinition(prop.arrayOf)
+    for (let i = 0; i < value.length; i++) {
+      const message = checkValue(item, `${name}[${i}]`, value[i])
+      if (message) return message
+    }
+  }
+
+  const shape = prop.shape
+  if (shape && isObject(value)) {
+    for (const key in shape) {
+      const field = normalizePropDefinition(shape[key])
+      const path = `${name}.${key}`
+      if (field.required && !hasOwn(value, key)) {
+        return `Missing required prop: "${path}"`
+      }
+      const message = checkValue(field, path, value[key])
+      if (message) return message
+    }
+  }
+
   const validator = prop.validator
   if (validator) {
-    if (!validator(value)) {
-      warn(
-        'Invalid prop: custom validator check failed for prop "' + name + '".',
-        vm
-      )
+    // validators may describe the failure with a message string or
+    // { valid, message }; any other truthy value passes
+    const result = validator(value)
+    const isMessage = typeof result === 'string' && result !== ''
+    const valid = isPlainObject(result) ? result.valid : result && !isMessage
+    if (!valid) {
+      const message = isMessage ? result : isPlainObject(result) && result.message
+      return `Invalid prop: custom validator check failed for prop "${name}".` +
+        (message ? ` ${message}` : '')
     }
   }
 }
 
+// nested definitions accept the same forms as props: a constructor,
+// an array of constructors or an options object
+function normalizePropDefinition (def: any): PropOptions {
+  return isPlainObject(def)
+    ? def
+    : ({ type: def }: any)
+}
+
+function formatValue (value: any): string {
+  return typeof value === 'string'
+    ? `"${value}"`
+    : String(value)
+}
+
 const simpleCheckRE = /^(String|Number|Boolean|Function|Symbol)$/
 
 function assertType (value: any, type: Function): {
@@ -10,7 +10,9 @@ import {
   isDef,
   isUndef,
   isTrue,
-  isObject
+  isObject,
+  camelize,
+  hyphenate
 } from '../util/index'
 
 import {
@@ -192,6 +194,9 @@ export function createComponent (
   if (isDef(data.model)) {
     transformModel(Ctor.options, data)
   }
+  if (isDef(data.models)) {
+    transformModels(data)
+  }
 
   // extract props 将props处理成propsData
   const propsData = extractPropsFromVNodeData(data, Ctor, tag)
@@ -213,14 +218,18 @@ export function createComponent (
   // 抽象组件
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots
 
     // work around flow
     const slot = data.slot
+    const scopedSlots = data.scopedSlots
     data = {}
     if (slot) {
       data.slot = slot
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
   }
 
   // install component management hooks onto the placeholder node
@@ -305,9 +314,31 @@ function transformModel (options, data: any) {
   const prop = (options.model && options.model.prop) || 'value'
   const event = (options.model && options.model.event) || 'input'
   ;(data.attrs || (data.attrs = {}))[prop] = data.model.value
+  addModelListener(data.on || (data.on = {}), event, data.model.callback)
+}
+
+// transform v-model:arg bindings into the `arg` prop (plus an
+// `argModifiers` prop) and the `update:arg` event, like .sync does.
+function transformModels (data: any) {
+  const attrs = data.attrs || (data.attrs = {})
   const on = data.on || (data.on = {})
+  const models = data.models
+  for (let i = 0; i < models.length; i++) {
+    const { arg, value, callback, modifiers } = models[i]
+    const camelized = camelize(arg)
+    attrs[arg] = value
+    if (modifiers) {
+      attrs[`${camelized}Modifiers`] = modifiers
+    }
+    addModelListener(on, `update:${camelized}`, callback)
+    if (hyphenate(arg) !== camelized) {
+      addModelListener(on, `update:${hyphenate(arg)}`, callback)
+    }
+  }
+}
+
+function addModelListener (on: Object, event: string, callback: Function) {
   const existing = on[event]
-  const callback = data.model.callback
   if (isDef(existing)) {
     if (
       Array.isArray(existing)
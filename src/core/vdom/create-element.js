@@ -102,7 +102,7 @@ export function _createElement (
   if (normalizationType === ALWAYS_NORMALIZE) {
     // 如果render函数是用户手写的or如果编译slot、v-for的时候产生嵌套数组的情况
     children = normalizeChildren(children)
-  } else if (normalizationType === SIMPLE_NORMALIZE) 
+  } else if (normalizationType === SIMPLE_NORMALIZE) {
     // 如果render函数是template经过函数编译生成的
     children = simpleNormalizeChildren(children)
   }
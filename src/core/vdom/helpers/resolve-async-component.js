@@ -75,6 +75,8 @@ export function resolveAsyncComponent (
   // 第一次执行该异步组件的创建(可能很多地方会调用异步组件)
   if (owner && !isDef(factory.owners)) {
     const owners = factory.owners = [owner]
+    // callbacks waiting for the factory to settle, see whenAsyncComponentSettled
+    factory.settledCbs = []
     let sync = true
     let timerLoading = null
     let timerTimeout = null
@@ -102,6 +104,16 @@ export function resolveAsyncComponent (
       }
     }
 
+    const settle = () => {
+      const cbs = factory.settledCbs
+      if (cbs) {
+        factory.settledCbs = undefined
+        for (let i = 0; i < cbs.length; i++) {
+          cbs[i]()
+        }
+      }
+    }
+
     // once方法是一个辅助的工具函数，定义在src/shared/util.js中，作用是保证传入的方法只执行一次
     // 该方法是factory方法异步加载完成后执行的方法，所以 sync = false
     const resolve = once((res: Object | Class<Component>) => {
@@ -116,6 +128,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settle()
     })
 
     const reject = once(reason => {
@@ -129,6 +142,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settle()
     })
 
     // 异步组件-工厂函数：工厂方法就会执行 webpack 的 require 去加载，异步加载
@@ -198,3 +212,16 @@ export function resolveAsyncComponent (
       : factory.resolved
   }
 }
+
+/**
+ * Call `cb` once a pending async component factory has resolved or
+ * failed. Returns false if the factory is not pending.
+ */
+export function whenAsyncComponentSettled (factory: Function, cb: Function): boolean {
+  const cbs = factory.settledCbs
+  if (isDef(cbs)) {
+    cbs.push(cb)
+    return true
+  }
+  return false
+}
@@ -12,7 +12,7 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, PatchFlags } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
@@ -41,6 +41,7 @@ function sameVnode (a, b) {
         // 普通节点：tag 是否相同；是否同时为注释节点；是否都定义了data；是否是同一种 input 类型
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -71,6 +72,53 @@ function createKeyToOldIdx (children, beginIdx, endIdx) {
   return map
 }
 
+/**
+ * Indexes (into `arr`) of a longest increasing subsequence of the
+ * non-zero values of `arr`, in O(n log n).
+ */
+function getSequence (arr) {
+  const p = arr.slice()
+  const result = [0]
+  let i, j, u, v, c
+  const len = arr.length
+  for (i = 0; i < len; i++) {
+    const arrI = arr[i]
+    if (arrI !== 0) {
+      j = result[result.length - 1]
+      if (arr[j] < arrI) {
+        p[i] = j
+        result.push(i)
+        continue
+      }
+      // 二分查找第一个不小于 arrI 的位置
+      u = 0
+      v = result.length - 1
+      while (u < v) {
+        c = (u + v) >> 1
+        if (arr[result[c]] < arrI) {
+          u = c + 1
+        } else {
+          v = c
+        }
+      }
+      if (arrI < arr[result[u]]) {
+        if (u > 0) {
+          p[i] = result[u - 1]
+        }
+        result[u] = i
+      }
+    }
+  }
+  // 通过前驱数组回溯出完整的序列
+  u = result.length
+  v = result[u - 1]
+  while (u-- > 0) {
+    result[u] = v
+    v = p[v]
+  }
+  return result
+}
+
 export function createPatchFunction (backend) {
   let i, j
   const cbs = {}
@@ -88,6 +136,10 @@ export function createPatchFunction (backend) {
       }
     }
   }
+  // 声明了 patchFlag 的模块：节点带有补丁标记时，只执行标记中包含的模块
+  const flaggedModules = modules.filter(m => isDef(m.patchFlag) && isDef(m.update))
+  // 没有声明 patchFlag 的模块（如 ref、directives 或自定义渲染器的模块）无法按标记跳过，总是执行
+  const unflaggedModules = modules.filter(m => isUndef(m.patchFlag) && isDef(m.update))
 
   // 真实的DOM转换成VNode
   function emptyNodeAt (elm) {
@@ -95,10 +147,10 @@ export function createPatchFunction (backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeVnodeElms(vnode)
       }
     }
     remove.listeners = listeners
@@ -113,13 +165,58 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // 组件的根节点（或 vnode 本身）为片段时，返回该片段 vnode
+  function getFragment (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  // vnode 对应的最后一个 DOM 节点，片段为其结束锚点
+  function getLastElm (vnode) {
+    const fragment = getFragment(vnode)
+    return fragment ? fragment.anchor : vnode.elm
+  }
+
+  // 插入或移动 vnode 对应的全部 DOM 节点
+  function insertVnode (parent, vnode, ref) {
+    const fragment = getFragment(vnode)
+    if (fragment) {
+      insert(parent, fragment.elm, ref)
+      const children = fragment.children
+      for (let i = 0; i < children.length; i++) {
+        insertVnode(parent, children[i], ref)
+      }
+      insert(parent, fragment.anchor, ref)
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function removeVnodeElms (vnode) {
+    const fragment = getFragment(vnode)
+    if (fragment) {
+      removeNode(fragment.elm)
+      const children = fragment.children
+      for (let i = 0; i < children.length; i++) {
+        removeVnodeElms(children[i])
+      }
+      removeNode(fragment.anchor)
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
   function isUnknownElement (vnode, inVPre) {
+    const app = vnode.context && vnode.context.$options._app
+    const ignoredElements = app ? app.config.ignoredElements : config.ignoredElements
     return (
       !inVPre &&
       !vnode.ns &&
       !(
-        config.ignoredElements.length &&
-        config.ignoredElements.some(ignore => {
+        ignoredElements.length &&
+        ignoredElements.some(ignore => {
           return isRegExp(ignore)
             ? ignore.test(vnode.tag)
             : ignore === vnode.tag
@@ -217,6 +314,15 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      // 片段：子节点插入在首尾两个空文本锚点之间
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, refElm, nested, children, i)
+      }
+      insert(parentElm, vnode.anchor, refElm)
     } else if (isTrue(vnode.isComment)) {
       // 通过tag+isComment判断是注释
       vnode.elm = nodeOps.createComment(vnode.text)
@@ -248,7 +354,7 @@ export function createPatchFunction (backend) {
         // 上面的init方法执行完，给vm.$el返回值后，vnode.elm有值了，要挂载的父节点有了之后
         // 子组件的插入是在执行到createComponent的insert的时候会进行插入
         // 插入顺序是先子后父
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -297,7 +403,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   // 调⽤⼀些 nodeOps 把⼦节点插⼊到⽗节点中
@@ -406,7 +512,11 @@ export function createPatchFunction (backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isTrue(ch.isFragment)) {
+          removeNode(ch.elm)
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeNode(ch.anchor)
+        } else if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -426,7 +536,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -452,20 +562,16 @@ export function createPatchFunction (backend) {
    * @param {*} newCh 
    * @param {*} insertedVnodeQueue 
    * @param {*} removeOnly 
+   * @param {*} endElm 新增节点默认插入在其之前，用于片段的结束锚点
    * 作用：递归遍历DOM树进行比对
    * 实现：
    * 这是 diff 算法中最复杂的方法
    */
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
-    let oldStartVnode = oldCh[0]
-    let oldEndVnode = oldCh[oldEndIdx]
     let newEndIdx = newCh.length - 1
-    let newStartVnode = newCh[0]
-    let newEndVnode = newCh[newEndIdx]
-    let oldKeyToIdx, idxInOld, vnodeToMove, refElm
 
     // removeOnly is a special flag used only by <transition-group>
     // to ensure removed elements stay in correct relative positions
@@ -476,64 +582,107 @@ export function createPatchFunction (backend) {
       checkDuplicateKeys(newCh)
     }
 
-    // 执行遍历的条件：oldCh 和 newCh 都还没有遍历完的时候
-    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx) {
-      if (isUndef(oldStartVnode)) {
-        // oldCh 没有定义 start Vnode 的话，就向后 +1 取 Vnode
-        oldStartVnode = oldCh[++oldStartIdx] // Vnode has been moved left
-      } else if (isUndef(oldEndVnode)) {
-        // oldCh 没有定义 end   Vnode 的话，就向前 -1 取 Vnode
-        oldEndVnode = oldCh[--oldEndIdx]
-      } else if (sameVnode(oldStartVnode, newStartVnode)) {
-        // oldCh 和 newCh 的第一个 有效节点是相等时，调用 patchVnode ，然后索引 +1 向后继续比对
-        patchVnode(oldStartVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        oldStartVnode = oldCh[++oldStartIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else if (sameVnode(oldEndVnode, newEndVnode)) {
-        // oldCh 和 newCh 的最后一个有效节点是相等时，调用 patchVnode ，然后索引 -1 向前继续比对
-        patchVnode(oldEndVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
-        // oldCh 的第一个有效节点和 newCh 最后一个有效节点是相等的
-        patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        // nodeOps.insertBefore 这是原生方法，这里作用是移动位置，将 oldCh 中 start 移到 end 的后面
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
-        oldStartVnode = oldCh[++oldStartIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
-        // oldCh 的最后一个有效节点和 newCh 第一个有效节点是相等的
-        patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        // 将 oldCh 中 end 移到 start 的前面
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else {
-        if (isUndef(oldKeyToIdx)) oldKeyToIdx = createKeyToOldIdx(oldCh, oldStartIdx, oldEndIdx)
-        idxInOld = isDef(newStartVnode.key)
-          ? oldKeyToIdx[newStartVnode.key]
-          : findIdxInOld(newStartVnode, oldCh, oldStartIdx, oldEndIdx)
-        if (isUndef(idxInOld)) { // New element
-          createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
-        } else {
-          vnodeToMove = oldCh[idxInOld]
-          if (sameVnode(vnodeToMove, newStartVnode)) {
-            patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-            oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
-          } else {
-            // same key but different element. treat as new element
-            createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
-          }
-        }
-        newStartVnode = newCh[++newStartIdx]
-      }
+    // 1. 从头部开始比对相同的节点
+    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx && sameVnode(oldCh[oldStartIdx], newCh[newStartIdx])) {
+      patchVnode(oldCh[oldStartIdx], newCh[newStartIdx], insertedVnodeQueue, newCh, newStartIdx)
+      oldStartIdx++
+      newStartIdx++
     }
+    // 2. 从尾部开始比对相同的节点
+    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx && sameVnode(oldCh[oldEndIdx], newCh[newEndIdx])) {
+      patchVnode(oldCh[oldEndIdx], newCh[newEndIdx], insertedVnodeQueue, newCh, newEndIdx)
+      oldEndIdx--
+      newEndIdx--
+    }
+
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // 3. 旧节点已比对完，剩余的都是新增节点
+      const refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
+      // 4. 新节点已比对完，剩余的都是要删除的节点
       removeVnodes(oldCh, oldStartIdx, oldEndIdx)
+    } else {
+      // 5. 乱序的中间部分
+      updateUnmatchedChildren(parentElm, oldCh, newCh, oldStartIdx, oldEndIdx, newStartIdx, newEndIdx, insertedVnodeQueue, canMove, endElm)
+    }
+  }
+
+  /**
+   * Patch the middle segments left after syncing both ends: old nodes are
+   * matched by key (or sameVnode for unkeyed nodes) and patched in place,
+   * unmatched ones are removed or created, and only the matched nodes
+   * that are not part of the longest increasing subsequence of their old
+   * positions are moved, which is the minimum number of moves.
+   */
+  function updateUnmatchedChildren (
+    parentElm,
+    oldCh,
+    newCh,
+    oldStartIdx,
+    oldEndIdx,
+    newStartIdx,
+    newEndIdx,
+    insertedVnodeQueue,
+    canMove,
+    endElm
+  ) {
+    let i
+    const newKeyToIdx = createKeyToOldIdx(newCh, newStartIdx, newEndIdx)
+    const toBePatched = newEndIdx - newStartIdx + 1
+    // 新节点对应的旧节点索引 + 1，0 表示没有可复用的旧节点
+    const newIdxToOldIdx = new Array(toBePatched)
+    for (i = 0; i < toBePatched; i++) newIdxToOldIdx[i] = 0
+    let patched = 0
+    let moved = false
+    let maxNewIdxSoFar = 0
+
+    for (i = oldStartIdx; i <= oldEndIdx; i++) {
+      const oldVnode = oldCh[i]
+      if (patched >= toBePatched) {
+        // 新节点都已匹配，剩余的旧节点直接删除
+        removeVnodes(oldCh, i, i)
+        continue
+      }
+      const newIdx = isDef(oldVnode.key)
+        ? newKeyToIdx[oldVnode.key]
+        : findIdxInNew(oldVnode, newCh, newIdxToOldIdx, newStartIdx, newEndIdx)
+      if (
+        isUndef(newIdx) ||
+        // duplicate keys: the new node is already matched
+        newIdxToOldIdx[newIdx - newStartIdx] !== 0 ||
+        // same key but different element
+        !sameVnode(oldVnode, newCh[newIdx])
+      ) {
+        removeVnodes(oldCh, i, i)
+      } else {
+        newIdxToOldIdx[newIdx - newStartIdx] = i + 1
+        if (newIdx >= maxNewIdxSoFar) {
+          maxNewIdxSoFar = newIdx
+        } else {
+          moved = true
+        }
+        patchVnode(oldVnode, newCh[newIdx], insertedVnodeQueue, newCh, newIdx)
+        patched++
+      }
+    }
+
+    // 从后往前处理，保证参照节点（后一个新节点）已经在正确的位置上
+    const increasingSeq = moved ? getSequence(newIdxToOldIdx) : []
+    let j = increasingSeq.length - 1
+    for (i = toBePatched - 1; i >= 0; i--) {
+      const newIdx = newStartIdx + i
+      const vnode = newCh[newIdx]
+      const refElm = newIdx + 1 < newCh.length ? newCh[newIdx + 1].elm : endElm
+      if (newIdxToOldIdx[i] === 0) {
+        createElm(vnode, insertedVnodeQueue, parentElm, refElm, false, newCh, newIdx)
+      } else if (moved) {
+        if (j < 0 || i !== increasingSeq[j]) {
+          canMove && insertVnode(parentElm, vnode, refElm)
+        } else {
+          j--
+        }
+      }
     }
   }
 
@@ -555,10 +704,9 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function findIdxInOld (node, oldCh, start, end) {
-    for (let i = start; i < end; i++) {
-      const c = oldCh[i]
-      if (isDef(c) && sameVnode(node, c)) return i
+  function findIdxInNew (oldVnode, newCh, newIdxToOldIdx, start, end) {
+    for (let i = start; i <= end; i++) {
+      if (newIdxToOldIdx[i - start] === 0 && sameVnode(oldVnode, newCh[i])) return i
     }
   }
 
@@ -591,6 +739,12 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      updateChildren(nodeOps.parentNode(elm), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, vnode.anchor)
+      return
+    }
+
     // reuse element for static trees.
     // note we only do this if the vnode is cloned -
     // if the new node is not cloned it means the render functions have been
@@ -615,16 +769,36 @@ export function createPatchFunction (backend) {
     // 子组件 Vnode 是没有 children 的 -> undefined;普通 Vnode 才有 children
     const oldCh = oldVnode.children
     const ch = vnode.children
+    // 由同一段模板编译出的节点才能按补丁标记比对：id 只在一次编译内唯一，还需比较 render 函数
+    const optimized = isDef(vnode.patchId) &&
+      vnode.patchId === oldVnode.patchId &&
+      vnode.patchRender === oldVnode.patchRender
+    if (isDef(oldVnode.dynamicChildren) && !optimized) {
+      restoreBlockElms(oldVnode)
+    }
     if (isDef(data) && isPatchable(vnode)) {
       // 如果定义了 data，并且 vnode 可以挂载 -> 执行 update 钩子
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      if (optimized && vnode.patchFlag) {
+        updateFlaggedModules(oldVnode, vnode)
+      } else {
+        for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      }
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
     if (isUndef(vnode.text)) {
       // 如果新节点不是文本节点
       if (isDef(oldCh) && isDef(ch)) {
         // 1、如果新旧 VNode 同时存在 children ，且不相等时，执行 updateChildren 方法
-        if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+        // 块的根节点只需比对收集到的动态节点，静态结构整体跳过
+        if (oldCh !== ch) {
+          if (optimized && isDef(vnode.dynamicChildren)) {
+            patchBlockChildren(oldVnode.dynamicChildren, vnode.dynamicChildren)
+          } else if (optimized && (vnode.patchFlag & PatchFlags.TEXT)) {
+            patchTextChild(oldVnode, vnode)
+          } else {
+            updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+          }
+        }
       } else if (isDef(ch)) {
         // 2、如果只有新 VNode 存在 children，旧节点不存在 children
         if (process.env.NODE_ENV !== 'production') {
@@ -653,6 +827,65 @@ export function createPatchFunction (backend) {
     }
   }
 
+  function updateFlaggedModules (oldVnode, vnode) {
+    const flag = vnode.patchFlag
+    for (let i = 0; i < flaggedModules.length; i++) {
+      if (flag & flaggedModules[i].patchFlag) {
+        flaggedModules[i].update(oldVnode, vnode, vnode.dynamicProps)
+      }
+    }
+    for (let i = 0; i < unflaggedModules.length; i++) {
+      unflaggedModules[i].update(oldVnode, vnode)
+    }
+  }
+
+  // 唯一的子节点是动态文本
+  function patchTextChild (oldVnode, vnode) {
+    const oldText = oldVnode.children[0]
+    const text = vnode.children[0]
+    const elm = text.elm = oldText.elm
+    if (oldText.text !== text.text) {
+      nodeOps.setTextContent(elm, text.text)
+    }
+  }
+
+  // 块内的结构是固定的，新旧动态节点一一对应，不需要比对子节点
+  function patchBlockChildren (oldDynamicChildren, dynamicChildren) {
+    for (let i = 0; i < dynamicChildren.length; i++) {
+      const oldVnode = oldDynamicChildren[i]
+      const vnode = dynamicChildren[i]
+      const elm = vnode.elm = oldVnode.elm
+      if (isUndef(vnode.tag)) {
+        if (oldVnode.text !== vnode.text) {
+          nodeOps.setTextContent(elm, vnode.text)
+        }
+        continue
+      }
+      if (isDef(vnode.data)) {
+        updateFlaggedModules(oldVnode, vnode)
+      }
+      if (vnode.patchFlag & PatchFlags.TEXT) {
+        patchTextChild(oldVnode, vnode)
+      }
+    }
+  }
+
+  // 块内的静态节点在补丁时被跳过，没有 elm。
+  // 块无法整体比对时（如 v-if 切换到了另一段模板），先按 DOM 结构找回
+  function restoreBlockElms (vnode) {
+    const children = vnode.children
+    if (isUndef(children)) return
+    let childNode = vnode.elm.firstChild
+    for (let i = 0; i < children.length && childNode; i++) {
+      const child = children[i]
+      child.elm = childNode
+      if (isDef(child.tag)) {
+        restoreBlockElms(child)
+      }
+      childNode = childNode.nextSibling
+    }
+  }
+
   // 作用是把insertedVnodeQueue中保存的钩子函数依次执行一遍
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
@@ -685,6 +918,9 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     // assert node match
     if (process.env.NODE_ENV !== 'production') {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
@@ -729,7 +965,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -768,6 +1004,32 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // the start anchor of a server-rendered root fragment
+  function isServerRenderedFragment (node) {
+    return isDef(node) && node.nodeType === 8 && node.data === `[${SSR_ATTR}`
+  }
+
+  // server-rendered fragments are wrapped in <!--[--> and <!--]--> comments,
+  // which are adopted as the anchors
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    if (elm.nodeType !== 8) {
+      return false
+    }
+    const children = vnode.children
+    let node = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = getLastElm(children[i]).nextSibling
+    }
+    if (!node || node.nodeType !== 8) {
+      return false
+    }
+    vnode.anchor = node
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -819,15 +1081,22 @@ export function createPatchFunction (backend) {
           // mounting to a real element
           // check if this is server-rendered content and if we can perform
           // a successful hydration.
+          let hydrateElm = oldVnode
           if (oldVnode.nodeType === 1 && oldVnode.hasAttribute(SSR_ATTR)) {
             oldVnode.removeAttribute(SSR_ATTR)
             hydrating = true
+          } else if (isServerRenderedFragment(oldVnode.firstChild)) {
+            // 服务端渲染的根片段无法带上属性，而是标记在起始锚点上，
+            // 它位于挂载目标的第一个子节点，从这里开始激活
+            hydrateElm = oldVnode.firstChild
+            hydrateElm.data = '['
+            hydrating = true
           }
           // 服务端渲染
           if (isTrue(hydrating)) {
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            if (hydrate(hydrateElm, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              return hydrateElm
             } else if (process.env.NODE_ENV !== 'production') {
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
@@ -858,7 +1127,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // update parent placeholder node element, recursively
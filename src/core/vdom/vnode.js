@@ -27,11 +27,18 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // multiple root nodes of a component
+  anchor: Node | void; // end anchor of a fragment
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
   devtoolsMeta: ?Object; // used to store functional render context for devtools
   fnScopeId: ?string; // functional scope id support
+  patchFlag: number | void; // dynamic parts of a compiled node, see PatchFlags
+  dynamicProps: ?Array<string>; // names of the bound attrs / domProps
+  dynamicChildren: ?Array<VNode>; // dynamic descendants of a block root
+  patchId: number | void; // identifies the template a flagged node is compiled from
+  patchRender: ?Function; // the render function patchId is unique within
 
   constructor (
     tag?: string,
@@ -66,6 +73,13 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.patchFlag = undefined
+    this.dynamicProps = undefined
+    this.dynamicChildren = undefined
+    this.patchId = undefined
+    this.patchRender = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -85,6 +99,14 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// 组件渲染多个根节点时使用的片段节点，
+// patch 时其子节点位于首尾两个锚点（elm 和 anchor）之间
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -115,6 +137,7 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.isFragment = vnode.isFragment
   cloned.isCloned = true
   return cloned
 }
@@ -34,6 +34,28 @@ export default function model (
     }
   }
 
+  if (dir.arg) {
+    if (dir.isDynamicArg) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `<${el.tag} v-model:[${dir.arg}]="${value}">: ` +
+          `v-model does not support dynamic arguments.`,
+          el.rawAttrsMap[dir.rawName]
+        )
+      }
+    } else if (el.component || !config.isReservedTag(tag)) {
+      genComponentModel(el, value, modifiers, dir.arg)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `<${el.tag} v-model:${dir.arg}="${value}">: ` +
+        `v-model arguments are only supported on components.`,
+        el.rawAttrsMap[dir.rawName]
+      )
+    }
+    // component v-model doesn't need extra runtime
+    return false
+  }
+
   if (el.component) {
     genComponentModel(el, value, modifiers)
     // component v-model doesn't need extra runtime
@@ -22,5 +22,6 @@ export const baseOptions: CompilerOptions = {
   canBeLeftOpenTag,
   isReservedTag,
   getTagNamespace,
+  patchFlags: true,
   staticKeys: genStaticKeys(modules)
 }
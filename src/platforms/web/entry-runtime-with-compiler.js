@@ -82,7 +82,9 @@ Vue.prototype.$mount = function (
         shouldDecodeNewlines,
         shouldDecodeNewlinesForHref,
         delimiters: options.delimiters,
-        comments: options.comments
+        comments: options.comments,
+        // 只有组件的模版可以有多个根节点
+        singleRoot: !this.$vnode
       }, this)
       options.render = render
       options.staticRenderFns = staticRenderFns
@@ -0,0 +1,130 @@
+/* @flow */
+
+// Renders its default slot into another element of the document.
+// <teleport> itself only renders a placeholder comment, its content is
+// patched separately as the children of a container vnode whose element
+// is the target, in front of an anchor comment appended to the target.
+// The content stays in the component tree (events, provide/inject,
+// devtools), only its DOM lives elsewhere. When `disabled` (or when the
+// target can't be found) the content is rendered in place, in front of
+// the placeholder. Switching targets moves the existing DOM instead of
+// re-creating it.
+
+import VNode, { createEmptyVNode } from 'core/vdom/vnode'
+import { warn } from 'core/util/index'
+import { setActiveInstance } from 'core/instance/lifecycle'
+import * as nodeOps from '../node-ops'
+
+const CONTAINER_TAG = 'teleport'
+const ANCHOR_KEY = '__teleport_anchor'
+
+// 锚点带有 key，避免与内容中的注释节点复用
+function createAnchor (elm: Node): VNode {
+  const anchor = createEmptyVNode()
+  anchor.key = ANCHOR_KEY
+  anchor.elm = elm
+  return anchor
+}
+
+// the server renderer is bundled separately from the Vue instance it
+// renders, so an option flag is used instead of comparing definitions
+export function isTeleport (vm: Component): boolean {
+  return vm.$options._teleport === true
+}
+
+export default {
+  name: 'teleport',
+  _teleport: true,
+
+  props: {
+    to: {
+      type: String,
+      required: true
+    },
+    disabled: Boolean
+  },
+
+  beforeMount () {
+    // patch content right after the placeholder, so that child components
+    // of the content are updated in the same flush
+    const update = this._update
+    this._update = (vnode, hydrating) => {
+      update.call(this, vnode, hydrating)
+      if (this._isMounted) {
+        this.patchContent(this.contentNodes)
+      }
+    }
+  },
+
+  mounted () {
+    this.patchContent(this.contentNodes)
+  },
+
+  beforeDestroy () {
+    if (this.container) {
+      this.patchContent([])
+      this.removeAnchor()
+    }
+  },
+
+  methods: {
+    patchContent (nodes: Array<VNode>) {
+      let container = this.container
+      if (!container || this.target !== this.currentTarget) {
+        const anchor = this.resolveAnchor()
+        const parentElm = nodeOps.parentNode(anchor)
+        const moved = container ? container.children.slice(0, -1) : []
+        for (let i = 0; i < moved.length; i++) {
+          nodeOps.insertBefore(parentElm, moved[i].elm, anchor)
+        }
+        this.removeAnchor()
+        this.anchor = anchor
+        this.currentTarget = this.target
+        container = new VNode(CONTAINER_TAG, undefined, moved.concat(createAnchor(anchor)), undefined, parentElm)
+      }
+      const vnode = new VNode(CONTAINER_TAG, undefined, nodes.concat(createAnchor(this.anchor)))
+      // 内容中的子组件以 <teleport> 作为父实例
+      const restoreActiveInstance = setActiveInstance(this)
+      this.__patch__(container, vnode)
+      restoreActiveInstance()
+      this.container = vnode
+    },
+
+    // 返回内容应插入在其之前的节点
+    resolveAnchor (): Node {
+      const target = this.target
+      if (target !== null) {
+        const targetElm = document.querySelector(target)
+        if (targetElm) {
+          const anchor = nodeOps.createComment('')
+          nodeOps.appendChild(targetElm, anchor)
+          return anchor
+        }
+        process.env.NODE_ENV !== 'production' && warn(
+          `Failed to locate teleport target with selector "${target}", ` +
+          `the content will be rendered in place.`,
+          this
+        )
+      }
+      return this.$el
+    },
+
+    removeAnchor () {
+      const anchor = this.anchor
+      if (anchor && anchor !== this.$el) {
+        const parentElm = nodeOps.parentNode(anchor)
+        if (parentElm) {
+          nodeOps.removeChild(parentElm, anchor)
+        }
+      }
+    }
+  },
+
+  render () {
+    // props 在渲染中读取，其变化会触发重新渲染从而移动内容
+    this.target = this.disabled ? null : this.to
+    const slot = this.$scopedSlots.default
+    this.contentNodes = (slot && slot()) || []
+    return createEmptyVNode()
+  }
+}
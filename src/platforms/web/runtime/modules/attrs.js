@@ -17,8 +17,13 @@ import {
   isFalsyAttrValue,
   convertEnumeratedValue
 } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
 
-function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+function updateAttrs (
+  oldVnode: VNodeWithData,
+  vnode: VNodeWithData,
+  dynamicProps?: ?Array<string>
+) {
   const opts = vnode.componentOptions
   if (isDef(opts) && opts.Ctor.options.inheritAttrs === false) {
     return
@@ -35,11 +40,21 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
-  for (key in attrs) {
-    cur = attrs[key]
-    old = oldAttrs[key]
-    if (old !== cur) {
-      setAttr(elm, key, cur)
+  if (dynamicProps) {
+    // 按补丁标记更新时，只有绑定的属性可能变化
+    for (let i = 0; i < dynamicProps.length; i++) {
+      key = dynamicProps[i]
+      if (key in attrs && attrs[key] !== oldAttrs[key]) {
+        setAttr(elm, key, attrs[key])
+      }
+    }
+  } else {
+    for (key in attrs) {
+      cur = attrs[key]
+      old = oldAttrs[key]
+      if (old !== cur) {
+        setAttr(elm, key, cur)
+      }
     }
   }
   // #4391: in IE9, setting type can reset value for input[type=radio]
@@ -48,6 +63,9 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if ((isIE || isEdge) && attrs.value !== oldAttrs.value) {
     setAttr(elm, 'value', attrs.value)
   }
+  if (dynamicProps) {
+    return
+  }
   for (key in oldAttrs) {
     if (isUndef(attrs[key])) {
       if (isXlink(key)) {
@@ -115,5 +133,6 @@ function baseSetAttr (el, key, value) {
 
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  patchFlag: PatchFlags.PROPS
 }
@@ -10,6 +10,7 @@ import {
   stringifyClass,
   genClassForVnode
 } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
 
 function updateClass (oldVnode: any, vnode: any) {
   const el = vnode.elm
@@ -44,5 +45,6 @@ function updateClass (oldVnode: any, vnode: any) {
 
 export default {
   create: updateClass,
-  update: updateClass
+  update: updateClass,
+  patchFlag: PatchFlags.CLASS
 }
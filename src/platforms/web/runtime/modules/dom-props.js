@@ -2,10 +2,15 @@
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
 import { isSVG } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
 
 let svgContainer
 
-function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+function updateDOMProps (
+  oldVnode: VNodeWithData,
+  vnode: VNodeWithData,
+  dynamicProps?: ?Array<string>
+) {
   if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
     return
   }
@@ -18,13 +23,17 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
-  for (key in oldProps) {
-    if (!(key in props)) {
-      elm[key] = ''
+  if (!dynamicProps) {
+    for (key in oldProps) {
+      if (!(key in props)) {
+        elm[key] = ''
+      }
     }
   }
 
   for (key in props) {
+    // 按补丁标记更新时跳过静态的 domProps
+    if (dynamicProps && dynamicProps.indexOf(key) < 0) continue
     cur = props[key]
     // ignore children if the node has textContent or innerHTML,
     // as these will throw away existing DOM nodes and cause removal errors
@@ -112,5 +121,6 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 
 export default {
   create: updateDOMProps,
-  update: updateDOMProps
+  update: updateDOMProps,
+  patchFlag: PatchFlags.PROPS
 }
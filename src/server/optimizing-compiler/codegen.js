@@ -41,7 +41,11 @@ export function generate (
   options: CompilerOptions
 ): CodegenResult {
   const state = new CodegenState(options)
-  const code = ast ? genSSRElement(ast, state) : '_c("div")'
+  const code = ast
+    ? ast.fragment
+      ? `[${ast.children.map(c => genSSRElement((c: any), state)).join(',')}]`
+      : genSSRElement(ast, state)
+    : '_c("div")'
   return {
     render: `with(this){return ${code}}`,
     staticRenderFns: state.staticRenderFns
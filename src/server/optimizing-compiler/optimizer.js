@@ -26,7 +26,12 @@ let isPlatformReservedTag
 export function optimize (root: ?ASTElement, options: CompilerOptions) {
   if (!root) return
   isPlatformReservedTag = options.isReservedTag || no
-  walk(root, true)
+  if (root.fragment) {
+    // every root element of a fragment is a root node
+    root.children.forEach(child => walk(child, true))
+  } else {
+    walk(root, true)
+  }
 }
 
 function walk (node: ASTNode, isRoot?: boolean) {
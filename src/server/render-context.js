@@ -22,6 +22,11 @@ type RenderState = {
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
   key: string;
+} | {
+  type: 'Teleport';
+  target: string;
+  html: string;
+  prevWrite: (text: string, next: Function) => void;
 };
 
 export class RenderContext {
@@ -113,6 +118,15 @@ export class RenderContext {
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
           break
+        case 'Teleport':
+          this.renderStates.pop()
+          this.write = lastState.prevWrite
+          const userContext = this.userContext
+          if (userContext) {
+            const teleports = userContext.teleports || (userContext.teleports = {})
+            teleports[lastState.target] = (teleports[lastState.target] || '') + lastState.html
+          }
+          break
       }
     }
   }
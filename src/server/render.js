@@ -3,10 +3,12 @@
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
 import { RenderContext } from './render-context'
+import { createWriteFunction } from './write'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import { isTeleport } from 'web/runtime/components/teleport'
 
 import { isDef, isUndef, isTrue } from 'shared/util'
 
@@ -35,7 +37,8 @@ const normalizeRender = vm => {
     if (template) {
       const compiled = ssrCompileToFunctions(template, {
         scopeId: _scopeId,
-        warn: onCompilationError
+        warn: onCompilationError,
+        singleRoot: !vm.$vnode
       }, vm)
 
       vm.$options.render = compiled.render
@@ -51,6 +54,11 @@ const normalizeRender = vm => {
 }
 
 function waitForServerPrefetch (vm, resolve, reject) {
+  // wait for async setup() before prefetching and rendering
+  if (vm._setupPromise) {
+    vm._setupPromise.then(() => waitForServerPrefetch(vm, resolve, reject))
+    return
+  }
   let handlers = vm.$options.serverPrefetch
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
@@ -78,6 +86,8 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, isRoot, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -201,7 +211,11 @@ function renderComponentInner (node, isRoot, context) {
       type: 'Component',
       prevActive
     })
-    renderNode(childNode, isRoot, context)
+    if (isTeleport(child)) {
+      renderTeleport(child, childNode, context)
+    } else {
+      renderNode(childNode, isRoot, context)
+    }
   }
 
   const reject = context.done
@@ -209,6 +223,43 @@ function renderComponentInner (node, isRoot, context) {
   waitForServerPrefetch(child, resolve, reject)
 }
 
+function renderTeleport (vm, placeholder, context) {
+  const content = vm.contentNodes
+  const target = vm.target
+  if (target === null) {
+    // disabled: render in place, in front of the placeholder like on the client
+    context.renderStates.push({
+      type: 'Fragment',
+      children: content.concat(placeholder),
+      rendered: 0,
+      total: content.length + 1
+    })
+    return context.next()
+  }
+  // teleported content goes into a separate buffer, which is exposed
+  // as `context.teleports[target]` once it's fully rendered
+  const state = {
+    type: 'Teleport',
+    target,
+    html: '',
+    prevWrite: context.write
+  }
+  context.renderStates.push(state)
+  context.renderStates.push({
+    type: 'Fragment',
+    children: content,
+    rendered: 0,
+    total: content.length
+  })
+  context.write(`<!--${placeholder.text}-->`, () => {
+    context.write = createWriteFunction(text => {
+      state.html += text
+      return false
+    }, context.done)
+    context.next()
+  })
+}
+
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
 
@@ -291,6 +342,21 @@ function renderStringNode (el, context) {
   }
 }
 
+// the anchors of a fragment are rendered as comments,
+// so that the client can hydrate it. A fragment can't carry the
+// server-rendered attribute, so a root fragment marks its start anchor.
+function renderFragment (node, isRoot, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write(isTrue(isRoot) ? `<!--[${SSR_ATTR}-->` : '<!--[-->', context.next)
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
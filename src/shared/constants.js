@@ -18,5 +18,16 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
+
+// 编译器为动态节点生成的补丁标记，标明 patch 时需要比对的部分
+export const PatchFlags = {
+  TEXT: 1, // 唯一的子节点是动态文本
+  CLASS: 2,
+  STYLE: 4,
+  PROPS: 8, // 绑定的 attrs / domProps，名称记录在 dynamicProps 中
+  EVENTS: 16
+}
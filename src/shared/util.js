@@ -63,6 +63,14 @@ export function isRegExp (v: any): boolean {
   return _toString.call(v) === '[object RegExp]'
 }
 
+/**
+ * Check if a value is a native keyed collection (Map or Set).
+ */
+export function isCollection (v: any): boolean {
+  const type = _toString.call(v)
+  return type === '[object Map]' || type === '[object Set]'
+}
+
 /**
  * Check if val is a valid array index.
  */
@@ -330,6 +338,15 @@ export function looseIndexOf (arr: Array<mixed>, val: mixed): number {
   return -1
 }
 
+/**
+ * Check whether a value has changed, treating NaN as equal to itself.
+ */
+export function hasChanged (x: any, y: any): boolean {
+  /* eslint-disable no-self-compare */
+  return x !== y && (x === x || y === y)
+  /* eslint-enable no-self-compare */
+}
+
 /**
  * Ensure a function is called only once.
  * 保证传入的函数只执行一次
@@ -0,0 +1,41 @@
+// runs against the production build, which the unit tests don't use
+import Vue from '../../dist/vue.runtime.common.prod.js'
+
+describe('production build', () => {
+  let env
+
+  beforeEach(() => {
+    // observe data as on the client: the renderer marks the process as a server
+    env = process.env.VUE_ENV
+    delete process.env.VUE_ENV
+  })
+
+  afterEach(() => {
+    process.env.VUE_ENV = env
+    Vue.config.scheduler.maxUpdateCount = 100
+    Vue.config.scheduler.onInfiniteLoop = null
+  })
+
+  it('should report the keys of an infinite update loop', done => {
+    const onInfiniteLoop = jasmine.createSpy('onInfiniteLoop')
+    Vue.config.scheduler.maxUpdateCount = 3
+    Vue.config.scheduler.onInfiniteLoop = onInfiniteLoop
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      }
+    })
+    vm.a++
+    vm.$nextTick(() => {
+      expect(onInfiniteLoop.calls.count()).toBe(1)
+      const { maxUpdateCount, chain } = onInfiniteLoop.calls.argsFor(0)[0]
+      expect(maxUpdateCount).toBe(3)
+      // expressions are dropped in production, keys are kept
+      expect(chain.map(entry => entry.expression)).toEqual(['', ''])
+      expect(chain.map(entry => entry.key).sort()).toEqual(['a', 'b'])
+      done()
+    })
+  })
+})
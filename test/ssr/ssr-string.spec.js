@@ -1461,6 +1461,89 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should render suspense default content after async setup and async components', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense>
+            <async-setup></async-setup>
+            <async-comp></async-comp>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        asyncSetup: {
+          template: `<span>{{ msg }}</span>`,
+          setup () {
+            return new Promise(resolve => {
+              setTimeout(() => resolve({ msg: 'setup' }), 1)
+            })
+          }
+        },
+        asyncComp: () => Promise.resolve({
+          template: `<span>async</span>`
+        })
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true"><!--[--><span>setup</span> <span>async</span><!--]--></div>')
+      done()
+    })
+  })
+
+  it('should render fragment components between anchors', done => {
+    renderVmWithOptions({
+      template: `<ul><items :list="list"></items><li>after</li></ul>`,
+      data: { list: ['a', 'b'] },
+      components: {
+        items: {
+          props: ['list'],
+          template: `<li v-for="i in list">{{ i }}</li><li>end</li>`
+        }
+      }
+    }, result => {
+      expect(result).toContain('<ul data-server-rendered="true"><!--[--><li>a</li><li>b</li><li>end</li><!--]--><li>after</li></ul>')
+      done()
+    })
+  })
+
+  it('should mark the start anchor of a root fragment', done => {
+    renderVmWithOptions({
+      render: h => h('items', { props: { list: ['a', 'b'] }}),
+      components: {
+        items: {
+          props: ['list'],
+          template: `<li v-for="i in list">{{ i }}</li><li>end</li>`
+        }
+      }
+    }, result => {
+      expect(result).toContain('<!--[data-server-rendered--><li>a</li><li>b</li><li>end</li><!--]-->')
+      done()
+    })
+  })
+
+  it('should render teleported content into context.teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <teleport to="#modal"><span>{{ msg }}</span><child/></teleport>
+          <teleport to="#modal"><b>second</b></teleport>
+          <teleport to="#modal" disabled><i>in place</i></teleport>
+        </div>
+      `,
+      data: { msg: 'hello' },
+      components: {
+        child: { template: `<p>child</p>` }
+      }
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toContain('<div data-server-rendered="true"><!----> <!----> <i>in place</i><!----></div>')
+      expect(context.teleports['#modal']).toBe('<span>hello</span><p>child</p><b>second</b>')
+      done()
+    })
+  })
+
   it('should merge serverPrefetch option', done => {
     const mixin = {
       data: {
@@ -0,0 +1,147 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  let errorHandler
+
+  beforeEach(() => {
+    errorHandler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+  })
+
+  afterEach(() => {
+    Vue.config.errorHandler = null
+  })
+
+  const fallback = `
+    <template #fallback="{ error, info, reset }">
+      <div class="fallback" @click="reset">{{ error.message }} in {{ info }}</div>
+    </template>
+  `
+
+  it('should render the default slot when there is no error', () => {
+    const vm = new Vue({
+      template: `<error-boundary><div class="ok">ok</div>${fallback}</error-boundary>`
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<div class="ok">ok</div>')
+  })
+
+  it('should render the fallback on render errors and reset', done => {
+    let shouldThrow = true
+    const Widget = {
+      render (h) {
+        if (shouldThrow) {
+          throw new Error('boom')
+        }
+        return h('div', { class: 'widget' }, 'widget')
+      }
+    }
+    const vm = new Vue({
+      template: `<div><error-boundary><widget/>${fallback}</error-boundary><p>sibling</p></div>`,
+      components: { Widget }
+    }).$mount()
+    const err = errorHandler.calls.argsFor(0)[0]
+    expect(err.message).toBe('boom')
+    expect(errorHandler.calls.argsFor(0)[2]).toBe('render')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div class="fallback">boom in render</div><p>sibling</p>')
+      shouldThrow = false
+      triggerEvent(vm.$el.querySelector('.fallback'), 'click')
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div class="widget">widget</div><p>sibling</p>')
+    }).then(done)
+  })
+
+  it('should catch errors from lifecycle hooks and watchers', done => {
+    const vm = new Vue({
+      data: { n: 0 },
+      template: `<error-boundary><child :n="n"/>${fallback}</error-boundary>`,
+      components: {
+        child: {
+          props: ['n'],
+          watch: {
+            n () {
+              throw new Error('watcher')
+            }
+          },
+          render: h => h('div', 'child')
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('child')
+    vm.n++
+    waitForUpdate(() => {
+      expect(errorHandler.calls.argsFor(0)[2]).toBe('callback for watcher "n"')
+    }).then(() => {
+      expect(vm.$el.textContent).toContain('watcher in callback for watcher "n"')
+    }).then(done)
+  })
+
+  it('should catch rejected promises from async hooks', done => {
+    const vm = new Vue({
+      template: `<error-boundary><child/>${fallback}</error-boundary>`,
+      components: {
+        child: {
+          created () {
+            return Promise.reject(new Error('async'))
+          },
+          render: h => h('div', 'child')
+        }
+      }
+    }).$mount()
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('async in created hook (Promise/async)')
+      }).then(done)
+    })
+  })
+
+  it('should not propagate captured errors to ancestors', done => {
+    const errorCaptured = jasmine.createSpy('errorCaptured')
+    const vm = new Vue({
+      errorCaptured,
+      template: `<div><error-boundary><child/>${fallback}</error-boundary></div>`,
+      components: {
+        child: {
+          created () {
+            throw new Error('created')
+          },
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    expect(errorCaptured).not.toHaveBeenCalled()
+    expect(errorHandler).toHaveBeenCalledWith(jasmine.any(Error), vm.$children[0].$children[0], 'created hook')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('created in created hook')
+    }).then(done)
+  })
+
+  it('should render nothing without a fallback slot', done => {
+    const vm = new Vue({
+      template: `<div><error-boundary><child/></error-boundary></div>`,
+      components: {
+        child: {
+          render () {
+            throw new Error('boom')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should support multiple children with the tag prop', () => {
+    const vm = new Vue({
+      template: `<error-boundary tag="ul"><li>a</li><li>b</li></error-boundary>`
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<ul><li>a</li><li>b</li></ul>')
+  })
+
+  it('should warn multiple children without the tag prop', () => {
+    new Vue({
+      template: `<error-boundary><div>a</div><div>b</div></error-boundary>`
+    }).$mount()
+    expect('<error-boundary> can only be used on a single element').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,228 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Frag = {
+    props: ['items'],
+    template: `<li v-if="!items.length">empty</li><li v-for="i in items" :key="i">{{ i }}</li><li>end</li>`
+  }
+
+  it('should render multiple root nodes between anchors', () => {
+    const vm = new Vue({
+      template: `<ul><li>before</li><frag :items="['a', 'b']"/><li>after</li></ul>`,
+      components: { Frag }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<li>before</li><!----><li>a</li><li>b</li><li>end</li><li>after</li>')
+    const child = vm.$children[0]
+    // $el is the start anchor
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.nextSibling.nodeType).toBe(8)
+  })
+
+  it('should update fragment children', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      template: `<ul><frag :items="items"/><li>after</li></ul>`,
+      components: { Frag }
+    }).$mount()
+    const b = vm.$el.children[1]
+    vm.items = ['b', 'c']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><li>b</li><li>c</li><li>end</li><li>after</li>')
+      expect(vm.$el.children[0]).toBe(b)
+      vm.items = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<li>empty</li><li>end</li><li>after</li>')
+    }).then(done)
+  })
+
+  it('should support render functions returning arrays', done => {
+    const vm = new Vue({
+      data: { n: 2 },
+      template: `<div><test :n="n"/></div>`,
+      components: {
+        test: {
+          props: ['n'],
+          render (h) {
+            const children = []
+            for (let i = 0; i < this.n; i++) {
+              children.push(h('span', i))
+            }
+            return children.concat('text')
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>0</span><span>1</span>text')
+    vm.n = 1
+    waitForUpdate(() => {
+      // single element and text
+      expect(vm.$el.innerHTML).toBe('<span>0</span>text')
+      vm.n = 0
+    }).then(() => {
+      // single text node is rendered as the root
+      expect(vm.$el.innerHTML).toBe('text')
+    }).then(done)
+  })
+
+  it('should switch between single and multiple roots', done => {
+    const vm = new Vue({
+      data: { multi: false },
+      template: `<div><test :multi="multi"/><p>after</p></div>`,
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi
+              ? [h('span', 'a'), h('span', 'b')]
+              : h('span', 'single')
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>single</span><p>after</p>')
+    vm.multi = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span><p>after</p>')
+      vm.multi = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>single</span><p>after</p>')
+    }).then(done)
+  })
+
+  it('should move fragment components', done => {
+    const vm = new Vue({
+      data: { list: ['a', 'b', 'c'] },
+      template: `<div><pair v-for="i in list" :key="i" :id="i"/></div>`,
+      components: {
+        pair: {
+          props: ['id'],
+          template: `<b>{{ id }}</b><i>{{ id }}</i>`
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>a</b><i>a</i><b>b</b><i>b</i><b>c</b><i>c</i>')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>c</b><i>c</i><b>a</b><i>a</i><b>b</b><i>b</i>')
+      vm.list = ['b', 'c']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>b</b><i>b</i><b>c</b><i>c</i>')
+      vm.list = ['d', 'b', 'c', 'a']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>d</b><i>d</i><b>b</b><i>b</i><b>c</b><i>c</i><b>a</b><i>a</i>')
+    }).then(done)
+  })
+
+  it('should remove fragments and destroy child components', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      template: `<div><test v-if="ok"/><p>after</p></div>`,
+      components: {
+        test: {
+          template: `<child/><span>b</span>`,
+          components: {
+            child: {
+              destroyed,
+              template: `<span>a</span>`
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span><p>after</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><p>after</p>')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should support nested fragment roots', done => {
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: `<div><outer :msg="msg"/><p>after</p></div>`,
+      components: {
+        outer: {
+          props: ['msg'],
+          template: `<inner :msg="msg"/><span>outer</span>`,
+          components: {
+            inner: {
+              props: ['msg'],
+              template: `<span>{{ msg }}</span><span>inner</span>`
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><span>inner</span><span>outer</span><p>after</p>')
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>b</span><span>inner</span><span>outer</span><p>after</p>')
+    }).then(done)
+  })
+
+  it('should warn non-prop attributes that are not bound explicitly', () => {
+    new Vue({
+      template: `<div><test id="foo"/></div>`,
+      components: {
+        test: {
+          template: `<span>a</span><span>b</span>`
+        }
+      }
+    }).$mount()
+    expect('Extraneous non-props attributes (id) were passed to component').toHaveBeenWarned()
+  })
+
+  it('should allow binding $attrs explicitly', () => {
+    const vm = new Vue({
+      template: `<div><test id="foo"/></div>`,
+      components: {
+        test: {
+          inheritAttrs: false,
+          template: `<span>a</span><span v-bind="$attrs">b</span>`
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><span id="foo">b</span>')
+    expect('Extraneous non-props attributes').not.toHaveBeenWarned()
+  })
+
+  it('should not allow multiple root elements in root instance templates', () => {
+    new Vue({
+      template: `<div>a</div><div>b</div>`
+    }).$mount()
+    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  })
+
+  it('should warn v-for on the root element of root instances', () => {
+    new Vue({
+      template: `<div v-for="i in 2">{{ i }}</div>`
+    }).$mount()
+    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    expect('Multiple root nodes returned from render function').toHaveBeenWarned()
+  })
+
+  it('should allow the same multi-root template in components', () => {
+    const template = `<div>a</div><div>c</div>`
+    new Vue({ template }).$mount()
+    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    const vm = new Vue({
+      template: `<div><test/></div>`,
+      components: {
+        test: { template }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<div>a</div><div>c</div>')
+  })
+
+  it('should warn root instance render functions returning multiple nodes', () => {
+    const vm = new Vue({
+      render (h) {
+        return [h('div', 'a'), h('div', 'b')]
+      }
+    }).$mount()
+    expect(vm.$el.nodeType).toBe(8)
+    expect('Multiple root nodes returned from render function').toHaveBeenWarned()
+  })
+})
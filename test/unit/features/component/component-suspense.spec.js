@@ -0,0 +1,233 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  const fallback = `<template #fallback><p class="fallback">loading</p></template>`
+
+  function createDeferred () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  function createAsync (text) {
+    const deferred = createDeferred()
+    return {
+      deferred,
+      comp: () => deferred.promise.then(() => ({
+        render: h => h('span', text)
+      }))
+    }
+  }
+
+  it('should render default content without async dependencies', () => {
+    const events = []
+    const vm = new Vue({
+      template: `<div><suspense @resolve="onResolve"><span>ok</span>${fallback}</suspense></div>`,
+      methods: {
+        onResolve: () => events.push('resolve')
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+    expect(events).toEqual(['resolve'])
+  })
+
+  it('should be abstract', () => {
+    const vm = new Vue({
+      template: `<div><suspense><child ref="child"/></suspense></div>`,
+      components: {
+        child: { template: '<span>child</span>' }
+      }
+    }).$mount()
+    expect(vm.$refs.child.$parent).toBe(vm)
+    expect(vm.$children).toEqual([vm.$refs.child])
+  })
+
+  it('should show the fallback until all async components are resolved', done => {
+    const a = createAsync('a')
+    const b = createAsync('b')
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+            <comp-a/><comp-b/>
+            ${fallback}
+          </suspense>
+        </div>
+      `,
+      methods: {
+        log: e => events.push(e)
+      },
+      components: {
+        compA: a.comp,
+        compB: b.comp
+      }
+    }).$mount()
+    expect(events).toEqual(['pending', 'fallback'])
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('.fallback').textContent).toBe('loading')
+      a.deferred.resolve()
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      // b is still pending, a is mounted but hidden
+      expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+      expect(vm.$el.querySelector('span').style.display).toBe('none')
+      expect(events).toEqual(['pending', 'fallback'])
+      b.deferred.resolve()
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+      expect(vm.$el.textContent.replace(/\s/g, '')).toBe('ab')
+      const spans = vm.$el.querySelectorAll('span')
+      expect(spans[0].style.display).toBe('')
+      expect(spans[1].style.display).toBe('')
+    }).then(done)
+  })
+
+  it('should keep the default content mounted while pending', done => {
+    const a = createAsync('a')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <p class="sync" style="color:red">sync</p>
+            <child ref="child" :style="{ fontSize: '10px' }"/>
+            <comp-a/>
+            ${fallback}
+          </suspense>
+        </div>
+      `,
+      components: {
+        compA: a.comp,
+        child: { template: '<i>child</i>' }
+      }
+    }).$mount()
+    const p = vm.$el.querySelector('.sync')
+    const child = vm.$refs.child
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+      expect(vm.$el.querySelector('.sync')).toBe(p)
+      expect(p.style.display).toBe('none')
+      expect(p.style.color).toBe('red')
+      expect(child.$el.style.display).toBe('none')
+      expect(child.$el.style.fontSize).toBe('10px')
+      a.deferred.resolve()
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+      expect(vm.$el.querySelector('.sync')).toBe(p)
+      expect(vm.$refs.child).toBe(child)
+      expect(p.style.display).toBe('')
+      expect(p.style.color).toBe('red')
+      expect(child.$el.style.display).toBe('')
+      expect(child.$el.style.fontSize).toBe('10px')
+    }).then(done)
+  })
+
+  it('should wait for nested async components', done => {
+    const inner = createAsync('inner')
+    const outer = createDeferred()
+    const vm = new Vue({
+      template: `<div><suspense><outer/>${fallback}</suspense></div>`,
+      components: {
+        outer: () => outer.promise.then(() => ({
+          render: h => h('div', [h(inner.comp)])
+        }))
+      }
+    }).$mount()
+    outer.resolve()
+    waitForUpdate().thenWaitFor(next => setTimeout(next)).then(() => {
+      // outer has rendered, inner is now pending
+      expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+      inner.deferred.resolve()
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+      expect(vm.$el.textContent).toBe('inner')
+    }).then(done)
+  })
+
+  it('should wait for async setup()', done => {
+    const deferred = createDeferred()
+    const vm = new Vue({
+      template: `<div><suspense><child/>${fallback}</suspense></div>`,
+      components: {
+        child: {
+          template: `<span>{{ msg }}</span>`,
+          async setup () {
+            const msg = await deferred.promise
+            return { msg }
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+      deferred.resolve('hello')
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+      expect(vm.$el.textContent).toBe('hello')
+    }).then(done)
+  })
+
+  it('should settle on rejected async components', done => {
+    const a = createAsync('a')
+    const vm = new Vue({
+      template: `<div><suspense><comp-a/>${fallback}</suspense></div>`,
+      components: {
+        compA: a.comp
+      }
+    }).$mount()
+    a.deferred.reject(new Error('failed'))
+    waitForUpdate().thenWaitFor(next => setTimeout(next)).then(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+    }).then(done)
+  })
+
+  it('should delay the fallback with timeout', done => {
+    const a = createAsync('a')
+    const spy = jasmine.createSpy('fallback')
+    const vm = new Vue({
+      template: `<div><suspense timeout="30" @fallback="spy"><comp-a/>${fallback}</suspense></div>`,
+      methods: { spy },
+      components: {
+        compA: a.comp
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+    }).thenWaitFor(40).then(() => {
+      expect(spy).toHaveBeenCalled()
+      expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+      a.deferred.resolve()
+    }).thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.querySelector('.fallback')).toBe(null)
+      expect(vm.$el.textContent).toBe('a')
+    }).then(done)
+  })
+
+  it('should not track dependencies of nested suspense', done => {
+    const a = createAsync('a')
+    const spy = jasmine.createSpy('pending')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="spy">
+            <suspense><comp-a/></suspense>
+          </suspense>
+        </div>
+      `,
+      methods: { spy },
+      components: {
+        compA: a.comp
+      }
+    }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+    a.deferred.resolve()
+    waitForUpdate().thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.textContent).toBe('a')
+    }).then(done)
+  })
+})
@@ -0,0 +1,143 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render content into the target', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target"><span>a</span><span>b</span></teleport></div>`
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    expect(target.innerHTML).toBe('<span>a</span><span>b</span><!---->')
+  })
+
+  it('should keep existing children of the target', () => {
+    target.innerHTML = '<p>existing</p>'
+    new Vue({
+      template: `<div><teleport to="#teleport-target"><span>a</span></teleport></div>`
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>existing</p><span>a</span><!---->')
+  })
+
+  it('should update content', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      template: `
+        <div>
+          <teleport to="#teleport-target"><span v-for="i in items" :key="i">{{ i }}</span></teleport>
+        </div>
+      `
+    }).$mount()
+    const b = target.querySelector('span:last-of-type')
+    expect(target.textContent).toBe('ab')
+    vm.items = ['c', 'b']
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<span>c</span><span>b</span><!---->')
+      // existing nodes are patched, not re-created
+      expect(target.querySelector('span:last-of-type')).toBe(b)
+    }).then(done)
+  })
+
+  it('should update child components in the same flush', done => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: `<div><teleport to="#teleport-target"><child :msg="msg"/></teleport></div>`,
+      components: {
+        child: {
+          props: ['msg'],
+          template: `<span>{{ msg }}</span>`
+        }
+      }
+    }).$mount()
+    expect(target.textContent).toBe('foo')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should keep content in the component tree', () => {
+    const spy = jasmine.createSpy('click')
+    const vm = new Vue({
+      provide: { color: 'red' },
+      template: `<div><teleport to="#teleport-target"><child @click="spy"/></teleport></div>`,
+      methods: { spy },
+      components: {
+        child: {
+          inject: ['color'],
+          template: `<span @click="$emit('click', color)">{{ color }}</span>`
+        }
+      }
+    }).$mount()
+    const teleport = vm.$children[0]
+    const child = teleport.$children[0]
+    expect(child.$parent).toBe(teleport)
+    expect(child.$root).toBe(vm)
+    expect(target.textContent).toBe('red')
+    triggerEvent(target.querySelector('span'), 'click')
+    expect(spy).toHaveBeenCalledWith('red')
+  })
+
+  it('should move content when disabled or target changes', done => {
+    const vm = new Vue({
+      data: { disabled: false, to: '#teleport-target' },
+      template: `<div><teleport :to="to" :disabled="disabled"><span>a</span></teleport><p>b</p></div>`
+    }).$mount()
+    const span = target.querySelector('span')
+    expect(vm.$el.innerHTML).toBe('<!----><p>b</p>')
+    vm.disabled = true
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<span>a</span><!----><p>b</p>')
+      expect(vm.$el.firstChild).toBe(span)
+      vm.to = '#teleport-other'
+      vm.disabled = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><p>b</p>')
+      expect(other.innerHTML).toBe('<span>a</span><!---->')
+      expect(other.firstChild).toBe(span)
+    }).then(done)
+  })
+
+  it('should remove content and destroy child components on destroy', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      template: `<div><teleport v-if="ok" to="#teleport-target"><child/></teleport></div>`,
+      components: {
+        child: {
+          destroyed,
+          template: `<span>child</span>`
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<span>child</span><!---->')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should render in place when the target is missing', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#missing"><span>a</span></teleport></div>`
+    }).$mount()
+    expect('Failed to locate teleport target with selector "#missing"').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><!---->')
+  })
+})
@@ -145,6 +145,48 @@ describe('Directive v-for', () => {
       expect(vm.$el.innerHTML).toBe(`<span>1</span><span>2</span><span>3</span>`)
     })
 
+    it('should update native iterables (Map) on mutation', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="[key, val] in list">{{key}},{{val}}</span></div>`,
+        data: () => ({
+          list: new Map([[1, 'foo'], [2, 'bar']])
+        })
+      }).$mount()
+      vm.list.set(3, 'baz')
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,foo</span><span>2,bar</span><span>3,baz</span>`)
+        vm.list.set(1, 'qux')
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,qux</span><span>2,bar</span><span>3,baz</span>`)
+        vm.list.delete(2)
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,qux</span><span>3,baz</span>`)
+        vm.list.clear()
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe('')
+      }).then(done)
+    })
+
+    it('should update native iterables (Set) on mutation', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="val in list">{{val.name}}</span></div>`,
+        data: () => ({
+          list: new Set([{ name: 'a' }])
+        })
+      }).$mount()
+      const b = { name: 'b' }
+      vm.list.add(b)
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>a</span><span>b</span>`)
+        b.name = 'c'
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>a</span><span>c</span>`)
+        vm.list.delete(b)
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>a</span>`)
+      }).then(done)
+    })
+
     it('should render iterable of primitive values', done => {
       const iterable = {
         models: ['a', 'b', 'c'],
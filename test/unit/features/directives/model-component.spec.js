@@ -115,6 +115,140 @@ describe('Directive v-model component', () => {
     }).then(done)
   })
 
+  it('should support multiple v-model bindings with arguments', done => {
+    const vm = new Vue({
+      data: {
+        start: '2020-01-01',
+        end: '2020-01-31'
+      },
+      template: `
+        <div>
+          <date-range v-model:start="start" v-model:end="end"></date-range>
+          {{ start }} - {{ end }}
+        </div>
+      `,
+      components: {
+        dateRange: {
+          props: ['start', 'end'],
+          template: `
+            <div>
+              <input class="start" :value="start" @input="$emit('update:start', $event.target.value)">
+              <input class="end" :value="end" @input="$emit('update:end', $event.target.value)">
+            </div>
+          `
+        }
+      }
+    }).$mount()
+    document.body.appendChild(vm.$el)
+    const start = vm.$el.querySelector('.start')
+    const end = vm.$el.querySelector('.end')
+    expect(start.value).toBe('2020-01-01')
+    expect(end.value).toBe('2020-01-31')
+    start.value = '2020-02-01'
+    triggerEvent(start, 'input')
+    expect(vm.start).toBe('2020-02-01')
+    end.value = '2020-02-28'
+    triggerEvent(end, 'input')
+    expect(vm.end).toBe('2020-02-28')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toContain('2020-02-01 - 2020-02-28')
+      vm.start = '2020-03-01'
+    }).then(() => {
+      expect(start.value).toBe('2020-03-01')
+    }).then(() => {
+      document.body.removeChild(vm.$el)
+    }).then(done)
+  })
+
+  it('should work together with a default v-model', () => {
+    const vm = new Vue({
+      data: { text: 'foo', title: 'bar' },
+      template: `<div><my-input ref="input" v-model="text" v-model:title="title"></my-input></div>`,
+      components: {
+        'my-input': {
+          props: ['value', 'title'],
+          template: '<input>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.input
+    expect(child.value).toBe('foo')
+    expect(child.title).toBe('bar')
+    child.$emit('input', 'baz')
+    child.$emit('update:title', 'qux')
+    expect(vm.text).toBe('baz')
+    expect(vm.title).toBe('qux')
+  })
+
+  it('should map hyphenated arguments like .sync', () => {
+    const vm = new Vue({
+      data: { date: 'a' },
+      template: `<div><my-input ref="input" v-model:start-date="date"></my-input></div>`,
+      components: {
+        'my-input': {
+          props: ['startDate'],
+          template: '<input>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.input
+    expect(child.startDate).toBe('a')
+    child.$emit('update:startDate', 'b')
+    expect(vm.date).toBe('b')
+    child.$emit('update:start-date', 'c')
+    expect(vm.date).toBe('c')
+  })
+
+  it('should pass modifiers as <arg>Modifiers prop', () => {
+    const vm = new Vue({
+      data: { first: ' foo ', last: 'bar' },
+      template: `<div><my-input ref="input" v-model:first.trim.capitalize="first" v-model:last="last"></my-input></div>`,
+      components: {
+        'my-input': {
+          props: {
+            first: String,
+            firstModifiers: { default: () => ({}) },
+            last: String,
+            lastModifiers: { default: () => ({}) }
+          },
+          template: '<input>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.input
+    expect(child.firstModifiers).toEqual({ trim: true, capitalize: true })
+    expect(child.lastModifiers).toEqual({})
+    child.$emit('update:first', '  baz  ')
+    expect(vm.first).toBe('baz')
+  })
+
+  it('should warn v-model arguments on plain elements', () => {
+    new Vue({
+      data: { a: '' },
+      template: `<div><input v-model:value="a"></div>`
+    }).$mount()
+    expect('v-model arguments are only supported on components').toHaveBeenWarned()
+  })
+
+  it('should warn dynamic v-model arguments', () => {
+    new Vue({
+      data: { a: '', key: 'value' },
+      template: `<div><my-input v-model:[key]="a"></my-input></div>`,
+      components: {
+        'my-input': {
+          template: '<input>'
+        }
+      }
+    }).$mount()
+    expect('v-model does not support dynamic arguments').toHaveBeenWarned()
+  })
+
+  it('should not generate a model for dynamic v-model arguments', () => {
+    const { render } = Vue.compile(`<my-input v-model:[key]="a"></my-input>`)
+    expect(render.toString()).not.toContain('model:')
+    expect('v-model does not support dynamic arguments').toHaveBeenWarned()
+  })
+
   it('modifier: .number', () => {
     const vm = new Vue({
       template: `<div><my-input ref="input" v-model.number="text"></my-input></div>`,
@@ -0,0 +1,225 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  let el
+
+  beforeEach(() => {
+    el = document.createElement('div')
+    document.body.appendChild(el)
+  })
+
+  afterEach(() => {
+    if (el.parentNode) {
+      document.body.removeChild(el)
+    }
+  })
+
+  it('should mount and unmount the root component', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const app = Vue.createApp({
+      data: () => ({ msg: 'hello' }),
+      destroyed,
+      template: '<div id="app">{{ msg }}</div>'
+    })
+    const vm = app.mount(el)
+    expect(vm.msg).toBe('hello')
+    expect(document.getElementById('app').textContent).toBe('hello')
+    app.unmount()
+    expect(destroyed).toHaveBeenCalled()
+    expect(document.getElementById('app')).toBe(null)
+  })
+
+  it('should isolate registrations between apps', () => {
+    const a = Vue.createApp({ template: '<div><foo/><p v-upper>a</p></div>' })
+      .component('foo', { template: '<span>a</span>' })
+      .directive('upper', { bind: el => { el.className = 'a' } })
+    const b = Vue.createApp({ template: '<div><foo/></div>' })
+      .component('foo', { template: '<span>b</span>' })
+    expect(a.component('foo')).not.toBe(b.component('foo'))
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(Vue.options.directives.upper).toBeUndefined()
+    expect(a.mount().$el.innerHTML).toBe('<span>a</span><p class="a">a</p>')
+    expect(b.mount().$el.innerHTML).toBe('<span>b</span>')
+  })
+
+  it('should take precedence over global registrations', () => {
+    Vue.component('shadowed', { template: '<span>global</span>' })
+    const app = Vue.createApp({
+      template: '<div><child/></div>',
+      components: {
+        child: { template: '<div><shadowed/></div>' }
+      }
+    }).component('shadowed', { template: '<span>app</span>' })
+    expect(app.mount().$el.textContent).toBe('app')
+    delete Vue.options.components.shadowed
+  })
+
+  it('should not see global registrations made after creation', () => {
+    const created = jasmine.createSpy('created')
+    Vue.component('before', { template: '<span>before</span>' })
+    const app = Vue.createApp({
+      template: '<div><before/><after/><local/></div>',
+      components: {
+        local: { template: '<i>local</i>' }
+      }
+    })
+    Vue.component('after', { template: '<span>after</span>' })
+    Vue.mixin({ created })
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<span>before</span><after></after><i>local</i>')
+    expect('Unknown custom element: <after>').toHaveBeenWarned()
+    // only the global component, which is extended from Vue itself
+    expect(created.calls.count()).toBe(1)
+    expect(created.calls.first().object.$options.name).toBe('before')
+    delete Vue.options.components.before
+    delete Vue.options.components.after
+    Vue.options.created = Vue.options.created.filter(fn => fn !== created)
+    Vue._mixins.pop()
+  })
+
+  it('should apply mixins and global properties to the app only', () => {
+    const created = jasmine.createSpy('created')
+    const app = Vue.createApp({
+      template: '<div><child/></div>',
+      components: {
+        child: { render: h => h('span') }
+      }
+    })
+    app.mixin({ created })
+    app.config.globalProperties.$greet = () => 'hi'
+    const vm = app.mount()
+    expect(created.calls.count()).toBe(2)
+    expect(vm.$children[0].$greet()).toBe('hi')
+    const other = new Vue({ render: h => h('div') })
+    expect(created.calls.count()).toBe(2)
+    expect(other.$greet).toBeUndefined()
+  })
+
+  it('should install plugins with the app', () => {
+    const plugin = {
+      install: jasmine.createSpy('install').and.callFake((app, options) => {
+        app.component('from-plugin', { template: `<span>${options.msg}</span>` })
+      })
+    }
+    const app = Vue.createApp({ template: '<div><from-plugin/></div>' })
+    app.use(plugin, { msg: 'plugin' }).use(plugin)
+    expect(plugin.install.calls.count()).toBe(1)
+    expect(plugin.install.calls.argsFor(0)[0]).toBe(app)
+    expect(app.mount().$el.textContent).toBe('plugin')
+  })
+
+  it('should install Vue 2 plugins that use the constructor API', done => {
+    const plugin = Vue => {
+      Vue.prototype.$store = Vue.observable({ count: 1 })
+      Vue.util.defineReactive(Vue.prototype, '$theme', 'dark')
+      Vue.component('counter', Vue.extend({
+        template: '<span>{{ $store.count }} {{ $theme }}</span>'
+      }))
+    }
+    const app = Vue.createApp({ template: '<div><counter/></div>' }).use(plugin)
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('1 dark')
+    expect(Vue.prototype.$store).toBeUndefined()
+    expect(Vue.options.components.counter).toBeUndefined()
+    vm.$store.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 dark')
+    }).then(done)
+  })
+
+  it('should uninstall plugins from the app', () => {
+    const plugin = {
+      name: 'directives',
+      install: app => app.directive('foo', {}),
+      uninstall: jasmine.createSpy('uninstall')
+    }
+    const app = Vue.createApp()
+    app.use(plugin, 1)
+    expect(app.installedPlugins()).toEqual([{ plugin, name: 'directives', options: 1, args: [1] }])
+    app.unuse('directives')
+    expect(plugin.uninstall).toHaveBeenCalledWith(app, 1)
+    expect(app.installedPlugins()).toEqual([])
+  })
+
+  it('should provide app-level values', () => {
+    const app = Vue.createApp({
+      provide: { color: 'red' },
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          inject: ['color', 'size'],
+          template: '<span>{{ color }} {{ size }}</span>'
+        }
+      }
+    })
+    app.provide('color', 'blue').provide('size', 'large')
+    expect(app.mount().$el.textContent).toBe('red large')
+  })
+
+  it('should use the app config for errors and warnings', () => {
+    const errorHandler = jasmine.createSpy('errorHandler')
+    const warnHandler = jasmine.createSpy('warnHandler')
+    const app = Vue.createApp({
+      template: '<div><child/><unknown-el/></div>',
+      components: {
+        child: {
+          created () {
+            throw new Error('app error')
+          },
+          render: h => h('span')
+        }
+      }
+    })
+    app.config.errorHandler = errorHandler
+    app.config.warnHandler = warnHandler
+    const vm = app.mount()
+    expect(errorHandler).toHaveBeenCalledWith(jasmine.any(Error), vm.$children[0], 'created hook')
+    expect(warnHandler.calls.argsFor(0)[0]).toContain('Unknown custom element: <unknown-el>')
+  })
+
+  it('should scope config keys to the app', () => {
+    const onKey = jasmine.createSpy('onKey')
+    const app = Vue.createApp({
+      custom: 2,
+      mixins: [{ custom: 1 }],
+      template: '<div><input @keyup.enter2="onKey"><my-el/><other-el/></div>',
+      methods: { onKey }
+    })
+    app.config.keyCodes.enter2 = 13
+    app.config.ignoredElements.push('my-el')
+    app.config.optionMergeStrategies.custom = (parent, child) => (parent || 0) + (child || 0)
+    const vm = app.mount()
+    triggerEvent(vm.$el.firstChild, 'keyup', e => { e.keyCode = 13 })
+    expect(onKey).toHaveBeenCalled()
+    expect(vm.$options.custom).toBe(3)
+    expect('Unknown custom element: <my-el>').not.toHaveBeenWarned()
+    expect('Unknown custom element: <other-el>').toHaveBeenWarned()
+    expect(Vue.config.keyCodes.enter2).toBeUndefined()
+    expect(Vue.config.ignoredElements).toEqual([])
+    expect(Vue.config.optionMergeStrategies.custom).toBeUndefined()
+
+    const silent = Vue.createApp({ template: '<div><silent-el/></div>' })
+    silent.config.silent = true
+    silent.mount()
+    expect('Unknown custom element: <silent-el>').not.toHaveBeenWarned()
+  })
+
+  it('should report the app merge strategies in inspectMixins', () => {
+    const app = Vue.createApp()
+    const strat = app.config.optionMergeStrategies.custom = (parent, child) => child
+    app.mixin({ custom: 1 })
+    const report = app.inspectMixins({ custom: 2 })
+    const custom = report.options.filter(option => option.key === 'custom')[0]
+    expect(custom.resolution).toBe('custom')
+    expect(custom.strategy).toBe(strat)
+  })
+
+  it('should warn mounting twice and unmounting before mount', () => {
+    const app = Vue.createApp({ render: h => h('div') })
+    app.unmount()
+    expect('Cannot unmount an app that is not mounted').toHaveBeenWarned()
+    const vm = app.mount()
+    expect(app.mount()).toBe(vm)
+    expect('The app has already been mounted').toHaveBeenWarned()
+  })
+})
@@ -1,9 +1,16 @@
 import Vue from 'vue'
 
 describe('Global API: mixin', () => {
-  let options
-  beforeEach(() => { options = Vue.options })
-  afterEach(() => { Vue.options = options })
+  let options, mixins
+  beforeEach(() => {
+    options = Vue.options
+    mixins = Vue._mixins && Vue._mixins.slice()
+  })
+  afterEach(() => {
+    Vue.options = options
+    Vue._mixins = mixins
+    delete Vue._scopedMixins
+  })
 
   it('should work', () => {
     const spy = jasmine.createSpy('global mixin')
@@ -194,4 +201,133 @@ describe('Global API: mixin', () => {
     expect(typeof vm.$options.methods.a).toBe('function')
     expect(spy.calls.count()).toBe(1)
   })
+
+  it('should apply scoped mixins to matching components only', () => {
+    const spy = jasmine.createSpy('scoped')
+    const predicate = jasmine.createSpy('predicate').and.callFake(info => {
+      return info.name === 'foo' || info.tag === 'tagged'
+    })
+    Vue.mixin({
+      created () {
+        spy(this.$options.name || this.$options._componentTag)
+      },
+      methods: {
+        greet: () => 'scoped',
+        own: () => 'scoped'
+      }
+    }, predicate)
+    const vm = new Vue({
+      template: '<div><foo/><bar/><tagged/></div>',
+      components: {
+        foo: { name: 'foo', render: h => h('i', 'foo') },
+        bar: { name: 'bar', render: h => h('b', 'bar') },
+        tagged: {
+          methods: { own: () => 'own' },
+          render: h => h('span', 'tagged')
+        }
+      }
+    }).$mount()
+    expect(spy.calls.allArgs()).toEqual([['foo'], ['tagged']])
+    expect(predicate).toHaveBeenCalledWith({ name: 'foo', file: null, tag: 'foo' })
+    const [foo, bar, tagged] = vm.$children
+    expect(foo.greet()).toBe('scoped')
+    expect(bar.greet).toBeUndefined()
+    // component options take precedence over scoped mixins
+    expect(tagged.own()).toBe('own')
+    expect(Vue.options.methods).toBeUndefined()
+  })
+
+  it('should merge scoped mixins in the order inspectMixins reports', () => {
+    const calls = []
+    Vue.mixin({
+      created () {
+        // skip the root instance
+        if (this.$parent) calls.push('global')
+      }
+    })
+    Vue.mixin({ created: () => calls.push('scoped') }, info => info.name === 'foo')
+    const vm = new Vue({
+      template: '<div><foo/></div>',
+      components: {
+        foo: {
+          name: 'foo',
+          mixins: [{ created: () => calls.push('mixin') }],
+          created: () => calls.push('component'),
+          render: h => h('i')
+        }
+      }
+    }).$mount()
+    expect(calls).toEqual(['scoped', 'global', 'mixin', 'component'])
+    const report = Vue.inspectMixins(vm.$children[0])
+    const created = report.options.filter(r => r.key === 'created')[0]
+    expect(created.sources.map(s => s.type)).toEqual(calls)
+  })
+
+  it('should warn invalid mixin predicates', () => {
+    Vue.mixin({}, 'foo')
+    expect('Invalid mixin predicate: expected a function, got string').toHaveBeenWarned()
+  })
+
+  it('should report mixin sources and conflicts', () => {
+    const strat = jasmine.createSpy('strat')
+    Vue.config.optionMergeStrategies.custom = strat
+    const Base = Vue.extend({})
+    const logger = {
+      name: 'logger',
+      created () {},
+      methods: { log () {}, save () {} }
+    }
+    const store = {
+      name: 'store',
+      props: ['id'],
+      methods: { save () {} },
+      watch: { id () {} }
+    }
+    Base.mixin(logger)
+    Base.mixin({ name: 'scoped', custom: 1 }, info => info.name === 'Editor')
+    const report = Base.inspectMixins({
+      name: 'Editor',
+      mixins: [store],
+      extends: { custom: 2 },
+      props: { id: String },
+      created () {},
+      watch: { id () {} }
+    })
+    const find = key => report.options.filter(r => r.key === key)[0]
+    const names = sources => sources.map(s => s.type + ':' + s.name)
+
+    // scoped mixins are merged first, below everything else
+    expect(names(report.sources.slice(0, 1))).toEqual(['scoped:scoped'])
+    expect(names(report.sources.slice(-4))).toEqual([
+      'global:logger', 'extends:null', 'mixin:store', 'component:Editor'
+    ])
+    expect(names(find('methods.save').sources)).toEqual(['global:logger', 'mixin:store'])
+    expect(find('methods.save').resolution).toBe('override')
+    expect(find('methods.save').strategy).toBe(Vue.config.optionMergeStrategies.methods)
+    expect(find('methods.log').sources.length).toBe(1)
+    expect(find('created').resolution).toBe('concat')
+    expect(find('watch.id').resolution).toBe('concat')
+    expect(names(find('props.id').sources)).toEqual(['mixin:store', 'component:Editor'])
+    expect(find('custom').resolution).toBe('custom')
+    expect(find('custom').strategy).toBe(strat)
+    expect(names(find('custom').sources)).toEqual(['scoped:scoped', 'extends:null'])
+    expect(report.conflicts.map(r => r.key)).toContain('methods.save')
+    expect(report.conflicts.map(r => r.key)).not.toContain('methods.log')
+    delete Vue.config.optionMergeStrategies.custom
+  })
+
+  it('should inspect instances and constructors', () => {
+    const mixin = { data: () => ({ a: 1 }) }
+    const Comp = Vue.extend({
+      name: 'comp',
+      mixins: [mixin],
+      data: () => ({ b: 1 })
+    })
+    const fromCtor = Comp.inspectMixins(Comp)
+    const fromVm = Vue.inspectMixins(new Comp())
+    const find = (report, key) => report.options.filter(r => r.key === key)[0]
+    expect(find(fromCtor, 'data').resolution).toBe('merge')
+    expect(find(fromCtor, 'data').sources.map(s => s.type)).toEqual(['mixin', 'component'])
+    expect(find(fromVm, 'data').sources).toEqual(find(fromCtor, 'data').sources)
+  })
 })
@@ -0,0 +1,332 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', () => {
+    const original = { foo: 1, nested: { bar: 2 } }
+    const state = Vue.reactive(original)
+    expect(state).toBe(original)
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isReactive(state.nested)).toBe(true)
+    expect(Vue.isReactive({})).toBe(false)
+  })
+
+  it('reactive on non-observable values', () => {
+    Vue.reactive(1)
+    expect(`value cannot be made reactive: 1`).toHaveBeenWarned()
+    Vue.reactive(Object.freeze({}))
+    expect(`value cannot be made reactive`).toHaveBeenWarned()
+  })
+
+  it('shallowReactive', done => {
+    const nested = { bar: 1 }
+    const state = Vue.shallowReactive({ foo: 1, nested, list: [{ a: 1 }] })
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isShallow(state)).toBe(true)
+    expect(Vue.isReactive(state.nested)).toBe(false)
+    expect(Vue.isReactive(state.list)).toBe(false)
+
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(state.nested.bar)
+    })
+    state.nested.bar++
+    waitForUpdate(() => {
+      // nested mutations are not tracked
+      expect(spy.calls.count()).toBe(1)
+      state.nested = { bar: 3 }
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(3)
+      expect(Vue.isReactive(state.nested)).toBe(false)
+      // keys added with Vue.set stay shallow
+      Vue.set(state, 'added', { baz: 1 })
+      expect(Vue.isReactive(state.added)).toBe(false)
+    }).then(done)
+  })
+
+  it('shallowReactive on deep reactive object', () => {
+    const state = Vue.reactive({ foo: 1 })
+    Vue.shallowReactive(state)
+    expect(`Target is already a deep reactive object, cannot make it shallow.`).toHaveBeenWarned()
+  })
+
+  it('readonly', done => {
+    const original = Vue.reactive({ foo: 1, nested: { bar: 2 } })
+    const view = Vue.readonly(original)
+    expect(view).not.toBe(original)
+    expect(Vue.readonly(original)).toBe(view)
+    expect(Vue.readonly(view)).toBe(view)
+    expect(Vue.isReadonly(view)).toBe(true)
+    expect(Vue.isReadonly(original)).toBe(false)
+    expect(Vue.isReactive(view)).toBe(true)
+    expect(Vue.toRaw(view)).toBe(original)
+    expect(Object.keys(view)).toEqual(['foo', 'nested'])
+    expect(view.foo).toBe(1)
+    expect(Vue.isReadonly(view.nested)).toBe(true)
+    expect(view.nested.bar).toBe(2)
+
+    view.foo = 2
+    expect(`Set operation on key "foo" failed: target is readonly.`).toHaveBeenWarned()
+    view.nested.bar = 3
+    expect(`Set operation on key "bar" failed: target is readonly.`).toHaveBeenWarned()
+    Vue.set(view, 'baz', 1)
+    expect(`Set operation on key "baz" failed: target is readonly.`).toHaveBeenWarned()
+    Vue.delete(view, 'foo')
+    expect(`Delete operation on key "foo" failed: target is readonly.`).toHaveBeenWarned()
+    expect(original.foo).toBe(1)
+    expect(original.nested.bar).toBe(2)
+
+    // reads through the view are tracked on the source
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(view.nested.bar)
+    })
+    original.nested.bar = 5
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(5)
+      expect(view.nested.bar).toBe(5)
+    }).then(done)
+  })
+
+  it('readonly arrays and collections', done => {
+    const state = Vue.reactive({
+      list: [{ foo: 1 }],
+      map: new Map([['a', { bar: 1 }]])
+    })
+    const view = Vue.readonly(state)
+    expect(Array.isArray(view.list)).toBe(true)
+    expect(Vue.isReadonly(view.list)).toBe(true)
+    expect(Vue.isReadonly(view.list[0])).toBe(true)
+    expect(view.list.map(item => item.foo)).toEqual([1])
+
+    view.list.push({ foo: 2 })
+    expect(`Push operation failed: target is readonly.`).toHaveBeenWarned()
+    view.list[0] = null
+    expect(`Set operation on key "0" failed: target is readonly.`).toHaveBeenWarned()
+    view.list[0].foo = 2
+    expect(`Set operation on key "foo" failed: target is readonly.`).toHaveBeenWarned()
+    expect(state.list).toEqual([{ foo: 1 }])
+
+    expect(Vue.isReadonly(view.map)).toBe(true)
+    expect(Vue.isReadonly(view.map.get('a'))).toBe(true)
+    expect(view.map.has('a')).toBe(true)
+    expect(Array.from(view.map.keys())).toEqual(['a'])
+    expect(Vue.isReadonly(Array.from(view.map.values())[0])).toBe(true)
+    view.map.set('b', 1)
+    expect(`Set operation on key "b" failed: target is readonly.`).toHaveBeenWarned()
+    view.map.clear()
+    expect(`Clear operation failed: target is readonly.`).toHaveBeenWarned()
+    expect(state.map.size).toBe(1)
+
+    // keys added to the source later are exposed as well
+    Vue.set(state, 'added', { baz: 1 })
+    expect(Vue.isReadonly(view.added)).toBe(true)
+
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(view.list.map(item => item.foo).join(), view.map.size)
+    })
+    state.list.push({ foo: 3 })
+    state.map.set('c', 1)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('1,3', 2)
+    }).then(done)
+  })
+
+  it('readonly on unsupported values', () => {
+    expect(Vue.readonly(1)).toBe(1)
+    expect(`value cannot be made readonly: 1`).toHaveBeenWarned()
+  })
+
+  it('shallowReadonly', () => {
+    const original = { foo: 1, nested: { bar: 2 } }
+    const view = Vue.shallowReadonly(original)
+    expect(Vue.isReadonly(view)).toBe(true)
+    expect(Vue.isShallow(view)).toBe(true)
+    expect(view.nested).toBe(original.nested)
+    view.nested.bar = 3
+    expect(original.nested.bar).toBe(3)
+    view.foo = 2
+    expect(`Set operation on key "foo" failed: target is readonly.`).toHaveBeenWarned()
+    expect(Vue.shallowReadonly(original)).toBe(view)
+    expect(Vue.readonly(original)).not.toBe(view)
+  })
+
+  it('readonly view passed as a prop', done => {
+    const state = Vue.reactive({ msg: 'foo' })
+    const vm = new Vue({
+      template: '<test :state="state"></test>',
+      data: { state: Vue.readonly(state) },
+      components: {
+        test: {
+          props: ['state'],
+          template: '<div>{{ state.msg }}</div>',
+          methods: {
+            change () {
+              this.state.msg = 'bar'
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo')
+    vm.$children[0].change()
+    expect(`Set operation on key "msg" failed: target is readonly.`).toHaveBeenWarned()
+    state.msg = 'baz'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('baz')
+    }).then(done)
+  })
+
+  it('ref', () => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(count.value).toBe(0)
+    expect(Vue.ref(count)).toBe(count)
+    expect(Vue.unref(count)).toBe(0)
+    expect(Vue.unref(1)).toBe(1)
+    expect(Vue.isRef({ value: 0 })).toBe(false)
+    // object values are deeply reactive
+    const obj = Vue.ref({ a: 1 })
+    expect(Vue.isReactive(obj.value)).toBe(true)
+  })
+
+  it('computed', () => {
+    const count = Vue.ref(1)
+    const getter = jasmine.createSpy('getter').and.callFake(() => count.value * 2)
+    const double = Vue.computed(getter)
+    expect(Vue.isRef(double)).toBe(true)
+    // lazy
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    count.value++
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+
+    double.value = 1
+    expect(`Write operation failed: computed value is readonly.`).toHaveBeenWarned()
+  })
+
+  it('writable computed', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    expect(plusOne.value).toBe(2)
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('watchEffect', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(state.count)
+    })
+    expect(spy).toHaveBeenCalledWith(0)
+    state.count++
+    state.count++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(2)
+    }).then(done)
+  })
+
+  it('watchEffect on computed', done => {
+    const count = Vue.ref(1)
+    const double = Vue.computed(() => count.value * 2)
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(double.value)
+    })
+    expect(spy).toHaveBeenCalledWith(2)
+    count.value = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(4)
+    }).then(done)
+  })
+
+  it('debugger hooks on computed and watchEffect', done => {
+    const state = Vue.reactive({ count: 0, map: new Map() })
+    const events = []
+    const double = Vue.computed(() => state.count * 2, {
+      onTrack: e => events.push(['computed track', e.type, e.key])
+    })
+    Vue.watchEffect(() => {
+      state.map.has('a')
+    }, {
+      onTrack: e => events.push(['effect track', e.type, e.key]),
+      onTrigger: e => events.push(['effect trigger', e.type, e.key, e.newValue])
+    })
+    expect(double.value).toBe(0)
+    expect(events).toEqual([
+      ['effect track', 'get', 'map'],
+      ['effect track', 'has', 'a'],
+      ['computed track', 'get', 'count']
+    ])
+    events.length = 0
+    state.map.set('a', 1)
+    expect(events).toContain(['effect trigger', 'add', 'a', 1])
+    expect(events.some(e => e[0] === 'computed track')).toBe(false)
+    waitForUpdate(done)
+  })
+
+  it('stop', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const stopHandle = Vue.watchEffect(() => {
+      spy(count.value)
+    })
+    const double = Vue.computed(() => count.value * 2)
+    expect(double.value).toBe(0)
+    Vue.stop(stopHandle)
+    Vue.stop(double)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(double.value).toBe(0)
+
+      Vue.stop({})
+      expect(`stop() expects the return value of watchEffect() or computed().`).toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('stop handle returned by watchEffect', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const stopHandle = Vue.watchEffect(() => {
+      spy(count.value)
+    })
+    stopHandle()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should interoperate with components', done => {
+    const state = Vue.reactive({ items: new Map([['a', 1]]) })
+    const total = Vue.computed(() => {
+      let sum = 0
+      state.items.forEach(v => { sum += v })
+      return sum
+    })
+    const vm = new Vue({
+      render (h) {
+        return h('div', `${state.items.get('a')}/${total.value}`)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1/1')
+    state.items.set('b', 2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1/3')
+      state.items.set('a', 5)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5/7')
+    }).then(done)
+  })
+})
@@ -53,5 +53,89 @@ describe('Global API: use', () => {
   // #8595
   it('chain call', () => {
     expect(Vue.use(() => {})).toBe(Vue)
+    expect(Vue.unuse(() => {})).toBe(Vue)
+  })
+
+  it('should uninstall plugins', () => {
+    const Ctor = Vue.extend({})
+    const plugin = {
+      name: 'test',
+      install: (Vue, opts) => {
+        Vue.directive('plugin-test', opts)
+      },
+      uninstall: jasmine.createSpy('uninstall').and.callFake(Vue => {
+        delete Vue.options.directives['plugin-test']
+      })
+    }
+    Ctor.use(plugin, options)
+    expect(Ctor.options.directives['plugin-test']).toBe(options)
+    Ctor.unuse(plugin)
+    expect(plugin.uninstall).toHaveBeenCalledWith(Ctor, options)
+    expect(Ctor.options.directives['plugin-test']).toBeUndefined()
+
+    // can be installed again with other options, and removed by name
+    const other = {}
+    Ctor.use(plugin, other)
+    expect(Ctor.options.directives['plugin-test']).toBe(other)
+    Ctor.unuse('test')
+    expect(plugin.uninstall.calls.argsFor(1)).toEqual([Ctor, other])
+    expect(Ctor.installedPlugins()).toEqual([])
+  })
+
+  it('should list installed plugins', () => {
+    const Ctor = Vue.extend({})
+    const a = { name: 'a', install: () => {} }
+    const b = () => {}
+    Ctor.use(a, options).use(b, 1, 2)
+    expect(Ctor.installedPlugins()).toEqual([
+      { plugin: a, name: 'a', options, args: [options] },
+      { plugin: b, name: null, options: 1, args: [1, 2] }
+    ])
+  })
+
+  it('should check plugin dependencies', () => {
+    const Ctor = Vue.extend({})
+    const router = { name: 'router', install: jasmine.createSpy('router') }
+    const store = {
+      name: 'store',
+      dependencies: ['router'],
+      install: jasmine.createSpy('store'),
+      uninstall: jasmine.createSpy('uninstall')
+    }
+    expect(() => Ctor.use(store)).toThrowError(
+      /Failed to install plugin "store": it requires plugin "router", which is not installed/
+    )
+    expect(store.install).not.toHaveBeenCalled()
+    expect(Ctor.installedPlugins().length).toBe(0)
+
+    Ctor.use(router).use(store)
+    expect(store.install).toHaveBeenCalled()
+    Ctor.unuse(router)
+    expect('Failed to uninstall plugin "router": plugin "store" depends on it').toHaveBeenWarned()
+    expect(Ctor.installedPlugins().length).toBe(2)
+
+    Ctor.unuse(store).unuse(router)
+    expect(store.uninstall).toHaveBeenCalled()
+    expect(Ctor.installedPlugins().length).toBe(0)
+  })
+
+  it('should not install different plugins with the same name', () => {
+    const Ctor = Vue.extend({})
+    const install = jasmine.createSpy('install')
+    Ctor.use({ name: 'dup', install: () => {} })
+    expect(() => Ctor.use({ name: 'dup', install })).toThrowError(
+      /Failed to install plugin "dup": a different plugin with the same name is already installed/
+    )
+    expect(install).not.toHaveBeenCalled()
+    expect(Ctor.installedPlugins().length).toBe(1)
+  })
+
+  it('should keep the options of an installed plugin on re-install', () => {
+    const Ctor = Vue.extend({})
+    const plugin = { name: 'opts', install: jasmine.createSpy('install') }
+    Ctor.use(plugin, options)
+    Ctor.use(plugin, {})
+    expect(plugin.install.calls.count()).toBe(1)
+    expect(Ctor.installedPlugins()[0].options).toBe(options)
   })
 })
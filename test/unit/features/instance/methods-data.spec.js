@@ -42,18 +42,18 @@ describe('Instance methods data', () => {
       vm.a.b = 2
       waitForUpdate(() => {
         expect(spy.calls.count()).toBe(1)
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
         expect(spy.calls.count()).toBe(2)
-        expect(spy).toHaveBeenCalledWith(3, 2)
+        expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
       }).then(done)
     })
 
     it('immediate', () => {
       vm.$watch('a.b', spy, { immediate: true })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('unwatch', done => {
@@ -71,7 +71,7 @@ describe('Instance methods data', () => {
       }, spy)
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
       }).then(done)
     })
 
@@ -80,10 +80,10 @@ describe('Instance methods data', () => {
       vm.$watch('a', spy, { deep: true })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -95,10 +95,10 @@ describe('Instance methods data', () => {
       })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -108,7 +108,7 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('handler option in string', () => {
@@ -117,7 +117,164 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith('ok')
+      expect(spy).toHaveBeenCalledWith('ok', undefined, jasmine.any(Function))
+    })
+
+    it('multiple sources', done => {
+      vm.$watch(['a.b', function () { return this.유니코드.なまえ }], spy)
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([2, 'ok'], [1, 'ok'], jasmine.any(Function))
+        vm.유니코드.なまえ = 'changed'
+        vm.a.b = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith([3, 'changed'], [2, 'ok'], jasmine.any(Function))
+        // setting the same value does not fire the callback
+        vm.a = { b: 3 }
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch(['a.b', 'a'], spy, { immediate: true })
+      expect(spy).toHaveBeenCalledWith([1, vm.a], undefined, jasmine.any(Function))
+      vm.$watch(['a.b', 'a + b'], spy)
+      expect('Failed watching path: "a + b"').toHaveBeenWarned()
+    })
+
+    it('deep watch with a depth limit', done => {
+      vm = new Vue({
+        data: {
+          a: { b: { c: { d: 1 } } }
+        }
+      })
+      vm.$watch('a', spy, { deep: 2 })
+      vm.a.b.c.d = 2
+      waitForUpdate(() => {
+        // deeper than two levels, not tracked
+        expect(spy).not.toHaveBeenCalled()
+        vm.a.b.c = { d: 3 }
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+        vm.a.b.c.d = 4
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('deep watch multiple sources with a depth limit', done => {
+      vm = new Vue({
+        data: {
+          a: { b: { c: 1 } },
+          x: { y: { z: 1 } }
+        }
+      })
+      const spy2 = jasmine.createSpy('watch deep 2')
+      vm.$watch(['a', 'x'], spy, { deep: 1 })
+      vm.$watch(['a', 'x'], spy2, { deep: 2 })
+      // exactly one level deep
+      vm.a.b = { c: 2 }
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy2.calls.count()).toBe(1)
+        // exactly two levels deep
+        vm.x.y.z = 2
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy2.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('flush: sync', () => {
+      vm.$watch('a.b', spy, { flush: 'sync' })
+      vm.a.b = 2
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+    })
+
+    it('flush: post', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        },
+        updated () {
+          calls.push('updated')
+        }
+      })
+      vm.$watch('msg', () => {
+        calls.push(`pre ${vm.$el.textContent}`)
+      })
+      vm.$watch('msg', () => {
+        calls.push(`post ${vm.$el.textContent}`)
+      }, { flush: 'post' })
+      vm.$mount()
+      vm.msg = 'bar'
+      expect(calls).toEqual([])
+      waitForUpdate(() => {
+        expect(calls).toEqual(['pre foo', 'updated', 'post bar'])
+      }).then(done)
+    })
+
+    it('onCleanup', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      const unwatch = vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        spy(val)
+        onCleanup(() => cleanup(val))
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(2)
+        expect(cleanup).not.toHaveBeenCalled()
+        vm.a.b = 3
+      }).then(() => {
+        // cleanup of the previous run is called before the next one
+        expect(cleanup.calls.count()).toBe(1)
+        expect(cleanup).toHaveBeenCalledWith(2)
+        unwatch()
+        expect(cleanup.calls.count()).toBe(2)
+        expect(cleanup).toHaveBeenCalledWith(3)
+      }).then(done)
+    })
+
+    it('onCleanup with immediate and on destroy', () => {
+      const cleanup = jasmine.createSpy('cleanup')
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(cleanup)
+      }, { immediate: true })
+      expect(cleanup).not.toHaveBeenCalled()
+      vm.$destroy()
+      expect(cleanup.calls.count()).toBe(1)
+    })
+
+    it('onCleanup with multiple cleanups', done => {
+      const calls = []
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(() => calls.push(`first ${val}`))
+        onCleanup(() => calls.push(`second ${val}`))
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        vm.a.b = 3
+      }).then(() => {
+        expect(calls).toEqual(['first 2', 'second 2'])
+      }).then(done)
+    })
+
+    it('onCleanup error handling', done => {
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(() => { throw new Error('cleanup') })
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        vm.a.b = 3
+      }).then(() => {
+        expect('Error in cleanup for watcher "a.b"').toHaveBeenWarned()
+        expect('Error: cleanup').toHaveBeenWarned()
+      }).then(done)
     })
 
     it('warn expression', () => {
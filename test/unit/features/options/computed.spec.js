@@ -103,7 +103,7 @@ describe('Options computed', () => {
     vm.$watch('b', spy)
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
     }).then(done)
   })
 
@@ -216,4 +216,136 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () { return this.a + 1 },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(onTrack).not.toHaveBeenCalled()
+    expect(vm.b).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    }))
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+    expect(vm.b).toBe(3)
+  })
+
+  it('$onInvalidate', () => {
+    const getter = jasmine.createSpy('getter')
+    const spy = jasmine.createSpy('invalidate')
+    const vm = new Vue({
+      data: { a: 1, b: 1 },
+      computed: {
+        total () {
+          getter()
+          return this.a + this.b
+        }
+      }
+    })
+    const off = vm.$onInvalidate('total', spy)
+    expect(vm.total).toBe(2)
+    vm.a = 2
+    // notified once until re-evaluated, without evaluating
+    vm.b = 2
+    expect(spy.calls.count()).toBe(1)
+    expect(spy.calls.mostRecent().object).toBe(vm)
+    expect(getter.calls.count()).toBe(1)
+    expect(vm.total).toBe(4)
+    vm.a = 3
+    expect(spy.calls.count()).toBe(2)
+    off()
+    expect(vm.total).toBe(5)
+    vm.a = 4
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('$onInvalidate should handle errors and warn unknown keys', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b () { return this.a }
+      }
+    })
+    vm.$onInvalidate('b', () => {
+      throw new Error('invalidate')
+    })
+    expect(vm.b).toBe(1)
+    vm.a = 2
+    expect('Error in invalidate callback for computed "b"').toHaveBeenWarned()
+    expect('Error: invalidate').toHaveBeenWarned()
+    expect(vm.b).toBe(2)
+    vm.$onInvalidate('c', () => {})
+    expect('Computed property "c" is not defined on the instance').toHaveBeenWarned()
+  })
+
+  it('$recompute', () => {
+    let n = 0
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b () { return this.a + n++ }
+      }
+    })
+    expect(vm.b).toBe(1)
+    expect(vm.b).toBe(1)
+    expect(vm.$recompute('b')).toBe(2)
+    expect(vm.b).toBe(2)
+  })
+
+  it('$recompute should call $onInvalidate callbacks', () => {
+    const vm = new Vue({
+      computed: {
+        a () { return 1 },
+        b () { return this.a + 1 }
+      }
+    })
+    const spyA = jasmine.createSpy('invalidate a')
+    const spyB = jasmine.createSpy('invalidate b')
+    vm.$onInvalidate('a', spyA)
+    vm.$onInvalidate('b', spyB)
+    expect(vm.b).toBe(2)
+    vm.$recompute('a')
+    expect(spyA.calls.count()).toBe(1)
+    // readers of the computed are invalidated too
+    expect(spyB.calls.count()).toBe(1)
+    vm.$recompute('a')
+    expect(spyA.calls.count()).toBe(2)
+    // still dirty, b has not been evaluated since
+    expect(spyB.calls.count()).toBe(1)
+  })
+
+  it('$recompute should update readers of the computed', done => {
+    const source = { value: 'foo' }
+    const vm = new Vue({
+      template: '<div>{{ upper }}, {{ wrapped }}</div>',
+      computed: {
+        // reads a non-reactive source
+        upper () { return source.value.toUpperCase() },
+        wrapped () { return `(${this.upper})` }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('FOO, (FOO)')
+    source.value = 'bar'
+    expect(vm.$recompute('upper')).toBe('BAR')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('BAR, (BAR)')
+    }).then(done)
+  })
 })
@@ -0,0 +1,137 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should not warn for declared events', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      template: `<test @change="onChange"/>`,
+      methods: { onChange: spy },
+      components: {
+        test: {
+          emits: ['change'],
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    vm.$children[0].$emit('change', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn for undeclared events', () => {
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$emit('input', 1)
+    expect(`Component emitted event "input" but it is not declared in the emits option.`).toHaveBeenWarned()
+  })
+
+  it('should not warn when emits is not used', () => {
+    const vm = new Vue()
+    vm.$emit('input', 1)
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should not warn for hook events', () => {
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$emit('hook:mounted')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should match camelCase and kebab-case declarations', () => {
+    const vm = new Vue({
+      emits: ['updateValue', 'before-close']
+    })
+    vm.$emit('update-value')
+    vm.$emit('beforeClose')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should validate payloads', () => {
+    const validator = jasmine.createSpy('validator').and.callFake(payload => !!payload.email)
+    const vm = new Vue({
+      emits: {
+        click: null,
+        submit: validator
+      }
+    })
+    vm.$emit('click')
+    vm.$emit('submit', { email: 'foo@bar.com' }, 1)
+    expect(validator).toHaveBeenCalledWith({ email: 'foo@bar.com' }, 1)
+    expect('Invalid event arguments').not.toHaveBeenWarned()
+    vm.$emit('submit', {})
+    expect(`Invalid event arguments: event validation failed for event "submit".`).toHaveBeenWarned()
+  })
+
+  it('should still call listeners when validation fails', () => {
+    const spy = jasmine.createSpy('submit')
+    const vm = new Vue({
+      emits: {
+        submit: () => false
+      }
+    })
+    vm.$on('submit', spy)
+    vm.$emit('submit', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('event validation failed for event "submit"').toHaveBeenWarned()
+  })
+
+  it('should exclude declared events from $listeners', done => {
+    const onChange = jasmine.createSpy('change')
+    const onFocus = jasmine.createSpy('focus')
+    const vm = new Vue({
+      template: `<test @change="onChange" @focus="onFocus"/>`,
+      methods: { onChange, onFocus },
+      components: {
+        test: {
+          emits: ['change'],
+          render (h) {
+            return h('input', { on: this.$listeners })
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['focus'])
+    triggerEvent(vm.$el, 'change')
+    expect(onChange).not.toHaveBeenCalled()
+    triggerEvent(vm.$el, 'focus')
+    expect(onFocus).toHaveBeenCalled()
+    // declared events are still handled by the component itself
+    child.$emit('change', 1)
+    expect(onChange).toHaveBeenCalledWith(1)
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual(['focus'])
+    }).then(done)
+  })
+
+  it('should merge emits from mixins and extends', () => {
+    const Base = Vue.extend({
+      emits: ['a']
+    })
+    const Comp = Base.extend({
+      mixins: [{ emits: { b: null }}],
+      emits: ['c']
+    })
+    expect(Object.keys(Comp.options.emits).sort()).toEqual(['a', 'b', 'c'])
+    const vm = new Comp()
+    vm.$emit('a')
+    vm.$emit('b')
+    vm.$emit('c')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn invalid emits options', () => {
+    new Vue({
+      emits: 'change'
+    })
+    expect('Invalid value for option "emits": expected an Array or an Object, but got String.').toHaveBeenWarned()
+    new Vue({
+      emits: { change: true }
+    })
+    expect('Invalid validator for event "change" in option "emits": expected a Function or null, but got Boolean.').toHaveBeenWarned()
+  })
+})
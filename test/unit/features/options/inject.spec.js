@@ -662,6 +662,86 @@ describe('Options provide/inject', () => {
     expect(injected).toEqual('foo')
   })
 
+  it('should update injections when the provide function dependencies change', done => {
+    const vm = new Vue({
+      template: `<div><child/></div>`,
+      data: {
+        theme: 'dark',
+        locale: { lang: 'en' }
+      },
+      provide () {
+        return {
+          theme: this.theme,
+          locale: this.locale
+        }
+      },
+      components: {
+        child: {
+          inject: ['theme', 'locale'],
+          template: `<span>{{ theme }} {{ locale.lang }}</span>`
+        }
+      }
+    }).$mount()
+
+    expect(vm.$el.innerHTML).toBe('<span>dark en</span>')
+    vm.theme = 'light'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>light en</span>')
+      vm.locale = { lang: 'fr' }
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>light fr</span>')
+      expect('Avoid mutating an injected value').not.toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should update injections in functional components', done => {
+    const vm = new Vue({
+      template: `<div><child/></div>`,
+      data: { theme: 'dark' },
+      provide () {
+        return { theme: this.theme }
+      },
+      components: {
+        child: {
+          functional: true,
+          inject: ['theme'],
+          render (h, ctx) {
+            return h('span', ctx.injections.theme)
+          }
+        }
+      }
+    }).$mount()
+
+    expect(vm.$el.innerHTML).toBe('<span>dark</span>')
+    vm.theme = 'light'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>light</span>')
+    }).then(done)
+  })
+
+  it('should stop updating injections after destroy', done => {
+    const vm = new Vue({
+      data: { theme: 'dark' },
+      provide () {
+        return { theme: this.theme }
+      },
+      render (h) {
+        return h('div')
+      }
+    }).$mount()
+    const child = new Vue({
+      parent: vm,
+      inject: ['theme']
+    })
+    expect(child.theme).toBe('dark')
+    child.$destroy()
+    vm.theme = 'light'
+    waitForUpdate(() => {
+      expect(child.theme).toBe('dark')
+      expect('Avoid mutating an injected value').not.toHaveBeenWarned()
+    }).then(done)
+  })
+
   // #7284
   it('should not inject prototype properties', () => {
     const vm = new Vue({
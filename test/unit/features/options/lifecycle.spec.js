@@ -311,6 +311,68 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked', () => {
+    it('should be called when the render function tracks a dependency', () => {
+      const spy = jasmine.createSpy('renderTracked')
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1, 2] },
+        render (h) {
+          return h('div', [this.msg, this.list.join()])
+        },
+        renderTracked: spy
+      }).$mount()
+      const events = spy.calls.allArgs().map(args => args[0])
+      expect(events.some(e => e.key === 'msg' && e.type === 'get' && e.target === vm._data)).toBe(true)
+      expect(events.some(e => e.key === 'list' && e.type === 'get')).toBe(true)
+      expect(events.every(e => e.effect === vm._watcher)).toBe(true)
+    })
+
+    it('should not install debugger options without the hooks', () => {
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        }
+      }).$mount()
+      expect(vm._watcher.onTrack).toBeUndefined()
+      expect(vm._watcher.onTrigger).toBeUndefined()
+    })
+  })
+
+  describe('renderTriggered', () => {
+    it('should be called when a dependency triggers a re-render', done => {
+      const spy = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1, 2] },
+        render (h) {
+          return h('div', [this.msg, this.list.join()])
+        },
+        renderTriggered: spy
+      }).$mount()
+      expect(spy).not.toHaveBeenCalled()
+      vm.msg = 'bar'
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0)[0].effect).toBe(vm._watcher)
+      expect(spy).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm._data,
+        type: 'set',
+        key: 'msg',
+        newValue: 'bar',
+        oldValue: 'foo'
+      }))
+      vm.list.push(3)
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.list,
+        type: 'array mutation',
+        key: 'push'
+      }))
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar1,2,3')
+      }).then(done)
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
@@ -299,6 +299,85 @@ describe('Options props', () => {
       expect('Expected Boolean').toHaveBeenWarned()
     })
 
+    function makeInstanceWithProp (value, prop) {
+      return new Vue({
+        template: '<test :test="val"></test>',
+        data: {
+          val: value
+        },
+        components: {
+          test: {
+            template: '<div></div>',
+            props: {
+              test: prop
+            }
+          }
+        }
+      }).$mount()
+    }
+
+    it('custom validator with message', () => {
+      const validator = v => ({ valid: v > 0, message: 'must be positive' })
+      makeInstanceWithProp(1, { type: Number, validator })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstanceWithProp(-1, { type: Number, validator })
+      expect('custom validator check failed for prop "test". must be positive').toHaveBeenWarned()
+    })
+
+    it('custom validator returning a message string', () => {
+      const validator = v => v > 0 || 'must be positive'
+      makeInstanceWithProp(1, { type: Number, validator })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstanceWithProp(-1, { type: Number, validator })
+      expect('custom validator check failed for prop "test". must be positive').toHaveBeenWarned()
+      makeInstanceWithProp(1, { type: Number, validator: () => '' })
+      expect('custom validator check failed for prop "test".').toHaveBeenWarned()
+    })
+
+    it('custom validator returning a truthy value', () => {
+      makeInstanceWithProp('foo', { type: String, validator: v => v.length })
+      makeInstanceWithProp(1, { type: Number, validator: v => [v] })
+      expect(console.error.calls.count()).toBe(0)
+    })
+
+    it('oneOf', () => {
+      makeInstanceWithProp('small', { type: String, oneOf: ['small', 'large'] })
+      makeInstanceWithProp(2, { oneOf: [1, 2] })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstanceWithProp('medium', { type: String, oneOf: ['small', 'large'] })
+      expect('Invalid prop: value check failed for prop "test". Expected one of "small", "large", got "medium".').toHaveBeenWarned()
+    })
+
+    it('arrayOf', () => {
+      makeInstanceWithProp([1, 2], { type: Array, arrayOf: Number })
+      makeInstanceWithProp([1, 'a'], { type: Array, arrayOf: [Number, String] })
+      makeInstanceWithProp([], { type: Array, arrayOf: { type: Number, required: true }})
+      expect(console.error.calls.count()).toBe(0)
+      makeInstanceWithProp([1, 'a'], { type: Array, arrayOf: Number })
+      expect('type check failed for prop "test[1]". Expected Number with value NaN, got String with value "a".').toHaveBeenWarned()
+      makeInstanceWithProp([1, -1], { type: Array, arrayOf: { type: Number, validator: v => v > 0 }})
+      expect('custom validator check failed for prop "test[1]".').toHaveBeenWarned()
+    })
+
+    it('shape', () => {
+      const prop = {
+        type: Object,
+        shape: {
+          name: { type: String, required: true },
+          tags: { type: Array, arrayOf: String },
+          size: { oneOf: ['small', 'large'] }
+        }
+      }
+      makeInstanceWithProp({ name: 'foo', tags: ['a'] }, prop)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstanceWithProp({ tags: [] }, prop)
+      expect('Missing required prop: "test.name"').toHaveBeenWarned()
+      makeInstanceWithProp({ name: 'foo', tags: ['a', 1] }, prop)
+      expect('type check failed for prop "test.tags[1]"').toHaveBeenWarned()
+      makeInstanceWithProp({ name: 'foo', size: 'medium' }, prop)
+      expect('value check failed for prop "test.size"').toHaveBeenWarned()
+    })
+
     it('optional prop of any type (type: true or prop: true)', () => {
       makeInstance(1, true)
       expect(console.error.calls.count()).toBe(0)
@@ -313,6 +392,58 @@ describe('Options props', () => {
     })
   })
 
+  it('should coerce incoming values', done => {
+    const coerce = jasmine.createSpy('coerce').and.callFake(v => Number(v))
+    const vm = new Vue({
+      data: { val: '1' },
+      template: '<div><test :a="val"></test><test></test></div>',
+      components: {
+        test: {
+          template: '<span>{{ a + 1 }}</span>',
+          props: {
+            a: {
+              type: Number,
+              default: 10,
+              coerce
+            }
+          }
+        }
+      }
+    }).$mount()
+    // defaults are not coerced
+    expect(coerce.calls.count()).toBe(1)
+    expect(vm.$el.textContent).toBe('211')
+    expect('Invalid prop').not.toHaveBeenWarned()
+    vm.val = '5'
+    waitForUpdate(() => {
+      expect(vm.$children[0]._props.a).toBe(5)
+      expect(vm.$el.textContent).toBe('611')
+    }).then(done)
+  })
+
+  it('should observe coerced values', done => {
+    const vm = new Vue({
+      data: { val: 'a,b' },
+      template: '<div><test ref="test" :list="val"></test></div>',
+      components: {
+        test: {
+          template: '<span>{{ list.join(\'-\') }}</span>',
+          props: {
+            list: {
+              type: Array,
+              coerce: v => v.split(',')
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a-b')
+    vm.$refs.test.list.push('c')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a-b-c')
+    }).then(done)
+  })
+
   it('should work with v-bind', () => {
     const vm = new Vue({
       template: `<test v-bind="{ a: 1, b: 2 }"></test>`,
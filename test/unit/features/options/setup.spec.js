@@ -0,0 +1,223 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose returned bindings on the instance', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }} {{ double }} {{ msg }}</div>',
+      setup () {
+        const count = Vue.ref(1)
+        const double = Vue.computed(() => count.value * 2)
+        return {
+          count,
+          double,
+          msg: 'hi',
+          inc () {
+            count.value++
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1 2 hi')
+    // refs are unwrapped on the instance
+    expect(vm.count).toBe(1)
+    vm.inc()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 4 hi')
+      // assigning to an unwrapped ref sets its value
+      vm.count = 5
+      expect(vm._setupState.count.value).toBe(5)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5 10 hi')
+    }).then(done)
+  })
+
+  it('should receive props and context', done => {
+    const spy = jasmine.createSpy('setup')
+    const onFoo = jasmine.createSpy('foo')
+    let emit
+    const vm = new Vue({
+      template: '<test :msg="msg" id="a" @foo="onFoo"></test>',
+      data: { msg: 'foo' },
+      methods: { onFoo },
+      components: {
+        test: {
+          props: ['msg'],
+          setup (props, ctx) {
+            spy(props.msg, ctx.attrs.id)
+            emit = ctx.emit
+            const upper = Vue.computed(() => props.msg.toUpperCase())
+            return { upper }
+          },
+          template: '<div>{{ upper }}</div>'
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith('foo', 'a')
+    expect(vm.$el.textContent).toBe('FOO')
+    emit('foo', 1)
+    expect(onFoo).toHaveBeenCalledWith(1)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      // props passed to setup are reactive
+      expect(vm.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('should be called after props and before data / computed', () => {
+    const calls = []
+    new Vue({
+      props: ['foo'],
+      propsData: { foo: 1 },
+      setup (props) {
+        calls.push(`setup ${props.foo}`)
+        return { bar: 2 }
+      },
+      data () {
+        calls.push(`data ${this.bar}`)
+        return {}
+      },
+      beforeCreate () {
+        calls.push('beforeCreate')
+      },
+      created () {
+        calls.push('created')
+      }
+    })
+    expect(calls).toEqual(['beforeCreate', 'setup 1', 'data 2', 'created'])
+  })
+
+  it('should use a returned function as render function', done => {
+    const vm = new Vue({
+      setup () {
+        const count = Vue.ref(0)
+        return h => h('div', { on: { click: () => count.value++ }}, count.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    triggerEvent(vm.$el, 'click')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should render nothing until an async setup() resolves', done => {
+    let resolve
+    const vm = new Vue({
+      template: '<div>{{ msg }}</div>',
+      setup () {
+        return new Promise(r => { resolve = r })
+      }
+    }).$mount()
+    expect(vm.$el.nodeType).toBe(8)
+    resolve({ msg: 'hi' })
+    waitForUpdate().thenWaitFor(next => setTimeout(next)).then(() => {
+      expect(vm.$el.outerHTML).toBe('<div>hi</div>')
+    }).then(done)
+  })
+
+  it('lifecycle hooks', done => {
+    const calls = []
+    const vm = new Vue({
+      template: '<div>{{ count }}</div>',
+      mounted () {
+        calls.push('mounted option')
+      },
+      setup () {
+        const count = Vue.ref(0)
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { count }
+      }
+    }).$mount()
+    expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+    vm.count++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+    }).then(done)
+  })
+
+  it('lifecycle hooks should not leak into other instances', () => {
+    const spy = jasmine.createSpy('mounted')
+    let first = true
+    const Comp = Vue.extend({
+      render: h => h('div'),
+      setup () {
+        if (first) {
+          first = false
+          Vue.onMounted(spy)
+        }
+      }
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should warn when registering hooks outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('onMounted is called when there is no active component instance').toHaveBeenWarned()
+    Vue.onUnmounted(() => {})
+    expect('onUnmounted is called when there is no active component instance').toHaveBeenWarned()
+  })
+
+  it('getCurrentInstance', () => {
+    let instance
+    const vm = new Vue({
+      setup () {
+        instance = Vue.getCurrentInstance()
+      }
+    })
+    expect(instance.proxy).toBe(vm)
+    expect(Vue.getCurrentInstance()).toBe(null)
+  })
+
+  it('should stop effects created in setup on destroy', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const vm = new Vue({
+      setup () {
+        Vue.watchEffect(() => spy(count.value))
+      }
+    })
+    expect(spy.calls.count()).toBe(1)
+    vm.$destroy()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should warn on reserved keys and invalid return values', () => {
+    new Vue({
+      setup () {
+        return { $foo: 1, _bar: 2 }
+      }
+    })
+    expect('setup() return property "$foo" should not start with "$" or "_"').toHaveBeenWarned()
+    expect('setup() return property "_bar" should not start with "$" or "_"').toHaveBeenWarned()
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect('setup() should return an object. Received: number').toHaveBeenWarned()
+  })
+
+  it('should handle errors', () => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const err = new Error('setup error')
+    const vm = new Vue({
+      setup () {
+        throw err
+      }
+    })
+    expect(spy).toHaveBeenCalledWith(err, vm, 'setup')
+    Vue.config.errorHandler = null
+  })
+})
@@ -23,7 +23,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -43,7 +43,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -62,8 +62,8 @@ describe('Options watch', () => {
     })
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy1).toHaveBeenCalledWith(2, 1)
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy1).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -77,10 +77,10 @@ describe('Options watch', () => {
         }
       }
     })
-    expect(spy).toHaveBeenCalledWith(1)
+    expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -99,10 +99,10 @@ describe('Options watch', () => {
     vm.a.b = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, jasmine.any(Function))
       vm.a = { b: 3 }
     }).then(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+      expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
     }).then(done)
   })
 
@@ -140,8 +140,8 @@ describe('Options watch', () => {
 
     waitForUpdate(() => {
       expect(spy).not.toHaveBeenCalled()
-      expect(spy2).toHaveBeenCalledWith(1, 0)
-      expect(spy3).toHaveBeenCalledWith(1, 0)
+      expect(spy2).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(spy3).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
     }).then(done)
   })
 
@@ -158,7 +158,63 @@ describe('Options watch', () => {
     vm['数据'] = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('flush: post', done => {
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler () {
+            spy(this.$el.textContent)
+          },
+          flush: 'post'
+        }
+      },
+      render (h) {
+        return h('div', this.a)
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('2')
+      expect(spy.calls.count()).toBe(1)
+      // post watchers are not run for unrelated updates
+      vm.$forceUpdate()
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('onTrack / onTrigger', done => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue({
+      data: { a: 1 },
+      watch: {
+        a: { handler: spy, onTrack, onTrigger }
+      }
+    })
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    }))
+    expect(onTrigger).not.toHaveBeenCalled()
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -2,6 +2,7 @@ import { parse } from 'compiler/parser/index'
 import { extend } from 'shared/util'
 import { optimize } from 'compiler/optimizer'
 import { baseOptions } from 'web/compiler/options'
+import { PatchFlags } from 'shared/constants'
 
 describe('optimizer', () => {
   it('simple', () => {
@@ -254,4 +255,46 @@ describe('optimizer', () => {
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticRoot).toBe(false)
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticInFor).toBe(true)
   })
+
+  it('mark patch flags', () => {
+    const ast = parse(`
+      <div>
+        <p :class="a" :style="b" :title="c" :value.prop="d" @click="e">{{ f }}</p>
+        <p v-show="a" :class="b">c</p>
+      </div>
+    `, baseOptions)
+    optimize(ast, baseOptions)
+    const [p, withDirective] = ast.children.filter(c => c.type === 1)
+    expect(p.patchFlag).toBe(
+      PatchFlags.TEXT | PatchFlags.CLASS | PatchFlags.STYLE | PatchFlags.PROPS | PatchFlags.EVENTS
+    )
+    expect(p.boundProps).toEqual(['title', 'value'])
+    // runtime directives may touch anything
+    expect(withDirective.patchFlag).toBe(0)
+  })
+
+  it('mark block roots', () => {
+    const ast = parse(`
+      <ul>
+        <li v-for="item in items" :key="item.id" class="row">
+          <span class="label">label</span>
+          <a :href="item.url">{{ item.label }}</a> - {{ item.id }}
+        </li>
+      </ul>
+    `, baseOptions)
+    optimize(ast, baseOptions)
+    // v-for children can't be collected into a flat list
+    expect(ast.block).toBeUndefined()
+    const li = ast.children[0]
+    expect(li.block).toBe(true)
+    expect(li.children[0].static).toBe(true)
+    expect(li.children[2].patchFlag).toBe(PatchFlags.TEXT | PatchFlags.PROPS)
+    // dynamic text next to elements is collected on its own
+    expect(li.children[3].patchFlag).toBe(PatchFlags.TEXT)
+
+    const withComponent = parse(`<div><foo :a="b"></foo><p>{{ c }}</p></div>`, baseOptions)
+    optimize(withComponent, baseOptions)
+    expect(withComponent.block).toBeUndefined()
+    expect(withComponent.children[1].patchFlag).toBe(PatchFlags.TEXT)
+  })
 })
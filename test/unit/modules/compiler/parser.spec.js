@@ -87,9 +87,12 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate fragment for multiple root elements', () => {
+    const ast = parse('<div></div><p></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('div')
+    expect(ast.children[1].tag).toBe('p')
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,37 +193,36 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate fragment for 2 root elements with v-if', () => {
+    const ast = parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate fragment for 3 root elements with v-if and v-else on first 2', () => {
+    const ast = parse('<div v-if="1"></div><p v-else></p><span></span>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions[1].block.tag).toBe('p')
+    expect(ast.children[1].tag).toBe('span')
   })
 
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('generate fragment for 4 root elements with v-if, v-else-if and v-else on first 3', () => {
+    const ast = parse('<div v-if="1"></div><div v-else-if="2"></div><div v-else></div><span v-if="3"></span><p v-else></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions.length).toBe(3)
+    expect(ast.children[1].ifConditions[1].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+  it('warn v-else on root element without v-if', () => {
+    const ast = parse('<div></div><p v-else></p>', baseOptions)
+    expect(ast.tag).toBe('div')
+    expect('v-else used on element <p> without corresponding v-if.').toHaveBeenWarned()
   })
 
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
 
   it('warn <template> as root element', () => {
     parse('<template></template>', baseOptions)
@@ -232,9 +234,48 @@ describe('parser', () => {
     expect('Cannot use <slot> as component root element').toHaveBeenWarned()
   })
 
-  it('warn v-for on root element', () => {
-    parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+  it('not warn v-for on root element', () => {
+    const ast = parse('<div v-for="item in items"></div>', baseOptions)
+    expect(ast.for).toBe('items')
+    expect('Cannot use v-for on stateful component root element').not.toHaveBeenWarned()
+  })
+
+  describe('singleRoot', () => {
+    const options = extend({ singleRoot: true }, baseOptions)
+
+    it('warn multiple root elements', () => {
+      const ast = parse('<div></div><div></div>', options)
+      expect(ast.fragment).toBeUndefined()
+      expect(ast.tag).toBe('div')
+      expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    })
+
+    it('warn 2 root elements with v-if', () => {
+      parse('<div v-if="1"></div><div v-if="2"></div>', options)
+      expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    })
+
+    it('warn 3 root elements with v-if and v-else on first 2', () => {
+      parse('<div v-if="1"></div><div v-else></div><div></div>', options)
+      expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    })
+
+    it('not warn root elements with v-if, v-else-if and v-else', () => {
+      const ast = parse('<div v-if="1"></div><p v-else-if="2"></p><span v-else></span>', options)
+      expect(ast.ifConditions.length).toBe(3)
+      expect('Component template should contain exactly one root element').not.toHaveBeenWarned()
+    })
+
+    it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
+      parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', options)
+      expect('Cannot use v-for on stateful component root element because it renders multiple elements')
+        .toHaveBeenWarned()
+    })
+
+    it('warn v-for on root element', () => {
+      parse('<div v-for="item in items"></div>', options)
+      expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    })
   })
 
   it('warn <template> key', () => {
@@ -0,0 +1,176 @@
+import Vue from 'vue'
+import {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/observer/effect-scope'
+
+describe('EffectScope', () => {
+  it('should run', () => {
+    const fnSpy = jasmine.createSpy('fn')
+    new EffectScope().run(fnSpy)
+    expect(fnSpy.calls.count()).toBe(1)
+  })
+
+  it('should accept zero argument', () => {
+    const scope = effectScope()
+    expect(scope.effects.length).toBe(0)
+  })
+
+  it('should return run value', () => {
+    expect(new EffectScope().run(() => 1)).toBe(1)
+  })
+
+  it('should collect the effects', () => {
+    const scope = new EffectScope()
+    scope.run(() => {
+      const count = Vue.ref(0)
+      Vue.watchEffect(() => count.value)
+      Vue.computed(() => count.value)
+    })
+    expect(scope.effects.length).toBe(2)
+  })
+
+  it('stop', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const scope = new EffectScope()
+    let double
+    scope.run(() => {
+      Vue.watchEffect(() => spy(count.value))
+      double = Vue.computed(() => count.value * 2)
+    })
+    expect(spy.calls.count()).toBe(1)
+    expect(double.value).toBe(0)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(double.value).toBe(2)
+      scope.stop()
+      expect(scope.active).toBe(false)
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(double.value).toBe(2)
+    }).then(done)
+  })
+
+  it('should collect nested scope', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const scope = new EffectScope()
+    scope.run(() => {
+      Vue.watchEffect(() => spy(count.value))
+      // nested scope
+      new EffectScope().run(() => {
+        Vue.watchEffect(() => spy(count.value))
+      })
+    })
+    expect(scope.effects.length).toBe(1)
+    expect(scope.scopes.length).toBe(1)
+    expect(scope.scopes[0] instanceof EffectScope).toBe(true)
+    expect(spy.calls.count()).toBe(2)
+    scope.stop()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('nested scope can be escaped', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const scope = new EffectScope()
+    scope.run(() => {
+      Vue.watchEffect(() => spy(count.value))
+      // detached!
+      new EffectScope(true).run(() => {
+        Vue.watchEffect(() => spy(count.value))
+      })
+    })
+    expect(scope.effects.length).toBe(1)
+    expect(scope.scopes).toBeUndefined()
+    scope.stop()
+    count.value++
+    waitForUpdate(() => {
+      // only the detached effect is still running
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('should remove a stopped nested scope from its parent', () => {
+    const parent = new EffectScope()
+    const a = parent.run(() => new EffectScope())
+    const b = parent.run(() => new EffectScope())
+    expect(parent.scopes).toEqual([a, b])
+    a.stop()
+    expect(parent.scopes).toEqual([b])
+    expect(b.index).toBe(0)
+  })
+
+  it('should warn when running an inactive scope', () => {
+    const scope = new EffectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect(`cannot run an inactive effect scope.`).toHaveBeenWarned()
+  })
+
+  it('getCurrentScope / onScopeDispose', () => {
+    const spy = jasmine.createSpy('dispose')
+    const scope = new EffectScope()
+    scope.run(() => {
+      expect(getCurrentScope()).toBe(scope)
+      onScopeDispose(spy)
+    })
+    expect(getCurrentScope()).toBeUndefined()
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy.calls.count()).toBe(1)
+
+    onScopeDispose(() => {})
+    expect(`onScopeDispose() is called when there is no active effect scope`).toHaveBeenWarned()
+  })
+
+  it('should collect watchers created by $watch', done => {
+    const bus = new Vue({ data: { a: 1 } })
+    const spy = jasmine.createSpy('watcher')
+    const scope = new EffectScope()
+    scope.run(() => {
+      bus.$watch('a', spy)
+    })
+    scope.stop()
+    bus.a++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should destroy root instances created in the scope', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const scope = new EffectScope()
+    const vm = scope.run(() => new Vue({
+      data: { a: 1 },
+      watch: { a () {} },
+      destroyed
+    }))
+    expect(vm._isDestroyed).toBeFalsy()
+    scope.stop()
+    expect(vm._isDestroyed).toBe(true)
+    expect(destroyed.calls.count()).toBe(1)
+    expect(vm._watchers.every(w => !w.active)).toBe(true)
+  })
+
+  it('should stop the instance scope on $destroy', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: { b () { return this.a } },
+      watch: { a () {} },
+      render: h => h('div')
+    }).$mount()
+    expect(vm._scope.effects.length).toBe(3)
+    vm.$destroy()
+    expect(vm._scope.active).toBe(false)
+    expect(vm._scope.effects.every(w => !w.active)).toBe(true)
+  })
+})
@@ -344,6 +344,125 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const obj = {}
+    const map = new Map([['a', obj]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    // should've observed values
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    expect(map.get('a')).toBe(obj)
+
+    const arr = []
+    const set = new Set([arr])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(arr.__ob__ instanceof Observer).toBe(true)
+    expect(set.has(arr)).toBe(true)
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map([['a', 1]])
+    const ob = observe(map)
+    const watcher = { deps: [], addDep (dep) { this.deps.push(dep); dep.addSub(this) }, update: jasmine.createSpy() }
+    Dep.target = watcher
+    map.get('a')
+    Dep.target = null
+    expect(watcher.deps.length).toBe(1)
+    expect(watcher.deps[0]).toBe(ob.keyDeps.get('a'))
+
+    spyOn(ob.dep, 'notify').and.callThrough()
+    map.set('a', 1) // same value, no-op
+    expect(ob.dep.notify.calls.count()).toBe(0)
+    expect(watcher.update.calls.count()).toBe(0)
+    map.set('a', 2)
+    expect(ob.dep.notify.calls.count()).toBe(1)
+    expect(watcher.update.calls.count()).toBe(1)
+    // other keys should not trigger the 'a' dep
+    const obj = {}
+    map.set('b', obj)
+    expect(ob.dep.notify.calls.count()).toBe(2)
+    expect(watcher.update.calls.count()).toBe(1)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    map.delete('c') // missing key, no-op
+    expect(ob.dep.notify.calls.count()).toBe(2)
+    map.delete('a')
+    expect(ob.dep.notify.calls.count()).toBe(3)
+    expect(watcher.update.calls.count()).toBe(2)
+    map.clear()
+    expect(ob.dep.notify.calls.count()).toBe(4)
+    map.clear() // already empty, no-op
+    expect(ob.dep.notify.calls.count()).toBe(4)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const watcher = { deps: [], addDep (dep) { this.deps.push(dep); dep.addSub(this) }, update: jasmine.createSpy() }
+    Dep.target = watcher
+    set.has(1)
+    Dep.target = null
+
+    spyOn(ob.dep, 'notify')
+    set.add(1)
+    expect(ob.dep.notify.calls.count()).toBe(1)
+    expect(watcher.update.calls.count()).toBe(1)
+    set.add(1) // existing value, no-op
+    expect(ob.dep.notify.calls.count()).toBe(1)
+    const obj = {}
+    set.add(obj)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    expect(ob.dep.notify.calls.count()).toBe(2)
+    set.delete(1)
+    expect(ob.dep.notify.calls.count()).toBe(3)
+    expect(watcher.update.calls.count()).toBe(2)
+  })
+
+  it('dropping the deps of removed Map / Set keys', done => {
+    const vm = new Vue({
+      data: { map: new Map([['a', 1], ['b', 2]]) },
+      render (h) {
+        return h('div', [this.map.get('a'), this.map.get('b')].join())
+      }
+    }).$mount()
+    const ob = vm.map.__ob__
+    expect(ob.keyDeps.size).toBe(2)
+    vm.map.delete('a')
+    expect(ob.keyDeps.size).toBe(1)
+    expect(ob.keyDeps.has('a')).toBe(false)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe(',2')
+      // re-rendering reads the key again
+      expect(ob.keyDeps.size).toBe(2)
+      vm.map.set('a', 3)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('3,2')
+      vm.map.clear()
+      expect(ob.keyDeps.size).toBe(0)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe(',')
+      vm.map.set('b', 4)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe(',4')
+    }).then(done)
+  })
+
+  it('collection iteration and size depend on the collection', () => {
+    const map = new Map([['a', 1]])
+    const ob = observe(map)
+    const watcher = { deps: [], addDep (dep) { this.deps.push(dep) } }
+    Dep.target = watcher
+    map.size // eslint-disable-line no-unused-expressions
+    Dep.target = null
+    expect(watcher.deps).toEqual([ob.dep])
+    watcher.deps.length = 0
+    Dep.target = watcher
+    map.forEach(() => {})
+    Dep.target = null
+    expect(watcher.deps).toEqual([ob.dep])
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
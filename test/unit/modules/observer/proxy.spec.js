@@ -0,0 +1,131 @@
+import Vue from 'vue'
+import { observe } from 'core/observer/index'
+
+describe('Observer proxy mode', () => {
+  beforeEach(() => {
+    Vue.config.proxyArrays = true
+    Vue.config.proxyObjects = true
+  })
+
+  afterEach(() => {
+    Vue.config.proxyArrays = false
+    Vue.config.proxyObjects = false
+  })
+
+  it('should expose proxies through reactive getters', () => {
+    const list = [{ a: 1 }]
+    const raw = { list, nested: { b: 1 } }
+    const vm = new Vue({ data: { state: raw } })
+    expect(vm.state).not.toBe(raw)
+    expect(Vue.toRaw(vm.state)).toBe(raw)
+    expect(Array.isArray(vm.state.list)).toBe(true)
+    expect(vm.state.list).not.toBe(list)
+    expect(Vue.toRaw(vm.state.list)).toBe(list)
+    expect(vm.state.list[0].a).toBe(1)
+    expect(observe(vm.state)).toBe(raw.__ob__)
+  })
+
+  it('array index assignment', done => {
+    const vm = new Vue({
+      data: { list: ['a', 'b'] },
+      render (h) {
+        return h('div', this.list.join(','))
+      }
+    }).$mount()
+    vm.list[1] = 'c'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a,c')
+      vm.list[2] = { msg: 'd' }
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('a,c,[object Object]')
+      expect(Vue.isReactive(vm.list[2])).toBe(true)
+    }).then(done)
+  })
+
+  it('array length truncation', done => {
+    const vm = new Vue({
+      data: { list: [1, 2, 3] },
+      render (h) {
+        return h('div', this.list.map(n => h('span', n)))
+      }
+    }).$mount()
+    vm.list.length = 1
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>1</span>')
+      vm.list.length = 0
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('array methods through the proxy', done => {
+    const item = { a: 1 }
+    const vm = new Vue({
+      data: { list: [item, { a: 2 }] },
+      render (h) {
+        return h('div', this.list.map(i => i.a).join(','))
+      }
+    }).$mount()
+    expect(vm.list.indexOf(item)).toBe(0)
+    expect(vm.list.includes(vm.list[1])).toBe(true)
+    expect(vm.list.reverse()).toBe(vm.list)
+    vm.list.push({ a: 3 })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2,1,3')
+      vm.list[2].a = 4
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2,1,4')
+    }).then(done)
+  })
+
+  it('adding and deleting object properties', done => {
+    const vm = new Vue({
+      data: { form: { name: 'foo' } },
+      render (h) {
+        return h('div', JSON.stringify(this.form))
+      }
+    }).$mount()
+    vm.form.email = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('{"name":"foo","email":"bar"}')
+      // new keys are reactive too
+      vm.form.email = 'baz'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('{"name":"foo","email":"baz"}')
+      delete vm.form.name
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('{"email":"baz"}')
+    }).then(done)
+  })
+
+  it('reading a missing key tracks its later addition', done => {
+    const state = Vue.reactive({})
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(state.foo)
+    })
+    state.foo = 1
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1)
+    }).then(done)
+  })
+
+  it('should warn when adding keys to root $data', () => {
+    const vm = new Vue({ data: { a: 1 } })
+    const data = observe(vm.$data).proxy
+    // 写入被拒绝时 set trap 返回 false，严格模式下会抛出 TypeError
+    expect(() => { data.b = 1 }).toThrowError(TypeError)
+    expect(vm.$data.b).toBeUndefined()
+    expect('Avoid adding reactive properties to a Vue instance or its root $data').toHaveBeenWarned()
+  })
+
+  it('should fall back to getter/setters when disabled', () => {
+    Vue.config.proxyArrays = false
+    Vue.config.proxyObjects = false
+    const list = []
+    const raw = { list }
+    const vm = new Vue({ data: { state: raw } })
+    expect(vm.state).toBe(raw)
+    expect(vm.state.list).toBe(list)
+  })
+})
@@ -126,6 +126,76 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  describe('config.scheduler', () => {
+    const defaults = Object.assign({}, Vue.config.scheduler)
+    afterEach(() => {
+      Object.assign(Vue.config.scheduler, defaults)
+    })
+
+    it('maxUpdateCount', done => {
+      Vue.config.scheduler.maxUpdateCount = 10
+      let count = 0
+      const job = {
+        id: 1,
+        run () {
+          count++
+          queueWatcher(job)
+        }
+      }
+      queueWatcher(job)
+      waitForUpdate(() => {
+        expect(count).toBe(11)
+        expect('infinite update loop').toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('onInfiniteLoop', done => {
+      const spy = jasmine.createSpy('onInfiniteLoop')
+      Vue.config.scheduler.onInfiniteLoop = spy
+      const vm = new Vue({
+        data: { a: 0, b: 0 },
+        watch: {
+          a () { this.b++ },
+          b () { this.a++ }
+        }
+      })
+      vm.a++
+      waitForUpdate(() => {
+        expect('You may have an infinite update loop in watcher with expression').toHaveBeenWarned()
+        expect('Update chain:').toHaveBeenWarned()
+        expect(spy.calls.count()).toBe(1)
+        const report = spy.calls.argsFor(0)[0]
+        expect(report.maxUpdateCount).toBe(MAX_UPDATE_COUNT)
+        expect(report.chain.length).toBe(2)
+        const [first, second] = report.chain
+        expect(first.component).toBe('Root')
+        expect(second.component).toBe('Root')
+        expect([first.expression, second.expression].sort()).toEqual(['a', 'b'])
+        // each watcher is queued by the other one mutating its key
+        expect(first.key).toBe(first.expression)
+        expect(second.key).toBe(second.expression)
+      }).then(done)
+    })
+
+    it('onFlush', done => {
+      const spy = jasmine.createSpy('onFlush')
+      Vue.config.scheduler.onFlush = spy
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: { a () {} }
+      }).$mount()
+      vm.a++
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        const info = spy.calls.argsFor(0)[0]
+        expect(info.count).toBe(2)
+        expect(typeof info.start).toBe('number')
+        expect(info.duration >= 0).toBe(true)
+      }).then(done)
+    })
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
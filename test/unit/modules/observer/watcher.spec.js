@@ -118,6 +118,22 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('deep watch Map values', done => {
+    const item = { count: 1 }
+    vm.b = { map: new Map([['item', item]]) }
+    new Watcher(vm, 'b.map', spy, {
+      deep: true
+    })
+    item.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(vm.b.map, vm.b.map)
+      expect(spy.calls.count()).toBe(1)
+      vm.b.map.set('other', 1)
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
   it('fire change for prop addition/deletion in non-deep mode', done => {
     new Watcher(vm, 'b', spy)
     Vue.set(vm.b, 'e', 123)
@@ -508,6 +508,43 @@ describe('vdom patch: children', () => {
     expect(postPatch).toBe(original)
   })
 
+  it('should move the minimum number of nodes', () => {
+    const vnode1 = new VNode('p', {}, [1, 2, 3, 4, 5, 6].map(spanNum))
+    const vnode2 = new VNode('p', {}, [2, 3, 1, 5, 6, 4].map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const spans = map(prop('firstChild'), [].slice.call(elm.children))
+    spyOn(elm, 'insertBefore').and.callThrough()
+    spyOn(elm, 'appendChild').and.callThrough()
+    const moves = () => elm.insertBefore.calls.count() + elm.appendChild.calls.count()
+    patch(vnode1, vnode2)
+    expect(map(inner, elm.children)).toEqual(['2', '3', '1', '5', '6', '4'])
+    // 2, 3, 5, 6 stay in place, only 1 and 4 are moved
+    expect(moves()).toBe(2)
+    expect(map(prop('firstChild'), [].slice.call(elm.children))).toEqual(
+      map(i => spans[i - 1], [2, 3, 1, 5, 6, 4])
+    )
+
+    elm.insertBefore.calls.reset()
+    elm.appendChild.calls.reset()
+    const vnode3 = new VNode('p', {}, [4, 6, 5, 1, 3, 2].map(spanNum))
+    patch(vnode2, vnode3)
+    expect(map(inner, elm.children)).toEqual(['4', '6', '5', '1', '3', '2'])
+    expect(moves()).toBe(5)
+  })
+
+  it('should create, remove and move in the unmatched middle', () => {
+    const vnode1 = new VNode('p', {}, [1, 2, 3, 'a', 4, 5, 6].map(spanNum))
+    const vnode2 = new VNode('p', {}, [1, 5, 'a', 7, 3, 4, 8, 6].map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const textNode = elm.children[3].firstChild
+    spyOn(elm, 'insertBefore').and.callThrough()
+    patch(vnode1, vnode2)
+    expect(map(inner, elm.children)).toEqual(['1', '5', 'a', '7', '3', '4', '8', '6'])
+    expect(elm.children[2].firstChild).toBe(textNode)
+    // 5 and "a" are moved, 7 and 8 are created
+    expect(elm.insertBefore.calls.count()).toBe(4)
+  })
+
   it('should warn with duplicate keys: createChildren', () => {
     function makeNode (key) {
       return new VNode('div', { key: key })
@@ -388,4 +388,58 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  it('should hydrate fragment components', done => {
+    const dom = createMockSSRDOM('<!--[--><span>foo</span><span>bar</span><!--]--><p>after</p>')
+    const span = dom.children[0]
+
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div><test :msg="msg"></test><p>after</p></div>',
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<span>{{msg}}</span><span>bar</span>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+    expect(dom.children[0]).toBe(span)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><span>baz</span><span>bar</span><!--]--><p>after</p>')
+      expect(dom.children[0]).toBe(span)
+    }).then(done)
+  })
+
+  it('should hydrate a server-rendered fragment root', done => {
+    const dom = document.createElement('div')
+    dom.innerHTML = `<!--[${SSR_ATTR}--><span>foo</span><span>bar</span><!--]-->`
+    const span = dom.children[0]
+
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      render (h) {
+        return h('test', { props: { msg: this.msg }})
+      },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<span>{{msg}}</span><span>bar</span>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom.firstChild)
+    expect(dom.firstChild.data).toBe('[')
+    expect(dom.children[0]).toBe(span)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><span>baz</span><span>bar</span><!--]-->')
+      expect(dom.children[0]).toBe(span)
+    }).then(done)
+  })
 })
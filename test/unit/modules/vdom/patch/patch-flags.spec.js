@@ -0,0 +1,154 @@
+import Vue from 'vue'
+import { PatchFlags } from 'shared/constants'
+
+describe('vdom patch: patch flags and blocks', () => {
+  it('should only patch the dynamic nodes of a block', done => {
+    const vm = new Vue({
+      data: {
+        rows: [
+          { id: 1, label: 'a', selected: false },
+          { id: 2, label: 'b', selected: false }
+        ]
+      },
+      template: `
+        <table><tbody>
+          <tr v-for="row in rows" :key="row.id">
+            <td class="id">{{ row.id }}</td>
+            <td :class="{ selected: row.selected }"><a :title="row.label">{{ row.label }}</a></td>
+            <td><span class="remove">x</span></td>
+          </tr>
+        </tbody></table>
+      `
+    }).$mount()
+    const tr = vm._vnode.children[0].children[0]
+    // collected in the order they are created, children first
+    expect(tr.dynamicChildren.map(vnode => vnode.patchFlag)).toEqual([
+      PatchFlags.TEXT,
+      PatchFlags.TEXT | PatchFlags.PROPS,
+      PatchFlags.CLASS
+    ])
+    const link = vm.$el.querySelector('a')
+    vm.rows[0].label = 'c'
+    vm.rows[0].selected = true
+    vm.rows.reverse()
+    waitForUpdate(() => {
+      const rows = vm.$el.querySelectorAll('tr')
+      expect(rows[1].innerHTML).toBe(
+        '<td class="id">1</td> <td class="selected"><a title="c">c</a></td> ' +
+        '<td><span class="remove">x</span></td>'
+      )
+      expect(rows[1].querySelector('a')).toBe(link)
+      expect(rows[0].textContent).toContain('b')
+    }).then(done)
+  })
+
+  it('should fall back to a full diff for nodes compiled from different templates', done => {
+    const vm = new Vue({
+      data: { ok: true, cls: 'a', msg: 'foo' },
+      template: `
+        <div>
+          <div v-if="ok" :class="cls" title="if">{{ msg }}<b>if</b></div>
+          <div v-else :class="cls"><i>{{ msg }}</i></div>
+        </div>
+      `
+    }).$mount()
+    const el = vm.$el.firstChild
+    expect(vm.$el.innerHTML).toBe('<div title="if" class="a">foo<b>if</b></div>')
+    vm.ok = false
+    vm.cls = 'b'
+    waitForUpdate(() => {
+      // same element reused, static attrs and structure still patched
+      expect(vm.$el.firstChild).toBe(el)
+      expect(vm.$el.innerHTML).toBe('<div class="b"><i>foo</i></div>')
+      vm.ok = true
+      vm.msg = 'bar'
+    }).then(() => {
+      expect(el.getAttribute('title')).toBe('if')
+      expect(el.innerHTML).toBe('bar<b>if</b>')
+      vm.msg = 'baz'
+    }).then(() => {
+      expect(el.innerHTML).toBe('baz<b>if</b>')
+    }).then(done)
+  })
+
+  it('should remove bound attrs that become null or false', done => {
+    const vm = new Vue({
+      data: { title: 'foo', disabled: true, value: 'bar', msg: 'a' },
+      template: `
+        <div>
+          <button class="btn" :title="title" :disabled="disabled">{{ msg }}</button>
+          <input :value="value">
+        </div>
+      `
+    }).$mount()
+    const button = vm.$el.querySelector('button')
+    const input = vm.$el.querySelector('input')
+    expect(vm._vnode.dynamicChildren[0].dynamicProps).toEqual(['title', 'disabled'])
+    expect(button.getAttribute('title')).toBe('foo')
+    expect(button.disabled).toBe(true)
+    vm.title = null
+    vm.disabled = false
+    vm.value = null
+    waitForUpdate(() => {
+      expect(button.hasAttribute('title')).toBe(false)
+      expect(button.hasAttribute('disabled')).toBe(false)
+      expect(button.className).toBe('btn')
+      expect(input.value).toBe('')
+      vm.title = 'baz'
+      vm.disabled = true
+    }).then(() => {
+      expect(button.getAttribute('title')).toBe('baz')
+      expect(button.disabled).toBe(true)
+    }).then(done)
+  })
+
+  it('should find the static nodes of a block around comments and whitespace', done => {
+    const vm = new Vue({
+      comments: true,
+      data: { ok: true, msg: 'foo' },
+      template: `
+        <div>
+          <div v-if="ok"><!-- if --> <p>if</p> <span>{{ msg }}</span> text</div>
+          <div v-else><!-- else --> <p>else</p> <span>{{ msg }}</span> text</div>
+        </div>
+      `
+    }).$mount()
+    const el = vm.$el.firstChild
+    const p = el.querySelector('p')
+    expect(vm._vnode.children[0].dynamicChildren.length).toBe(1)
+    // patched as a block first, so the static nodes of the new tree have no elm
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(el.innerHTML).toBe('<!-- if --> <p>if</p> <span>bar</span> text')
+      vm.ok = false
+    }).then(() => {
+      expect(vm.$el.firstChild).toBe(el)
+      expect(el.querySelector('p')).toBe(p)
+      expect(el.innerHTML).toBe('<!-- else --> <p>else</p> <span>bar</span> text')
+      vm.ok = true
+      vm.msg = 'baz'
+    }).then(() => {
+      expect(el.innerHTML).toBe('<!-- if --> <p>if</p> <span>baz</span> text')
+    }).then(done)
+  })
+
+  it('should not match patch ids across compiled templates', done => {
+    const vm = new Vue({
+      data: { cls: 'a', title: 'foo', msg: 'bar' },
+      template: `<div :class="cls">{{ msg }}</div>`
+    }).$mount()
+    const oldVnode = vm._vnode
+    // e.g. hot reload: the same instance switches to another compiled render
+    const { render, staticRenderFns } = Vue.compile(`<div :title="title">{{ msg }}</div>`)
+    vm.$options.render = render
+    vm.$options.staticRenderFns = staticRenderFns
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      // both templates number their flagged nodes from 1
+      expect(vm._vnode.patchId).toBe(oldVnode.patchId)
+      expect(vm.$el.getAttribute('title')).toBe('foo')
+      expect(vm.$el.className).toBe('')
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+})
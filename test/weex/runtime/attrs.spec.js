@@ -1,4 +1,4 @@
-import { getRoot, fireEvent, compileAndExecute } from '../helpers/index'
+import { getRoot, fireEvent, compileAndExecute, createInstance } from '../helpers/index'
 
 describe('generate attribute', () => {
   it('should be generated', (done) => {
@@ -86,4 +86,40 @@ describe('generate attribute', () => {
       done()
     })
   })
+
+  // weex modules don't declare patch flags, so flagged nodes must still run them
+  it('should be updated on nodes with patch flags', (done) => {
+    const instance = createInstance(String(Date.now() * Math.random()), `
+      new Vue({
+        el: '#whatever',
+        data: { x: 'Hello World', size: 100 },
+        methods: {
+          foo: function () {
+            this.x = 'Hello Vue'
+            this.size = 200
+          }
+        },
+        render: function (h) {
+          return this._x(h('div', { on: { click: this.foo }}, [
+            this._x(h('text', {
+              attrs: { value: this.x },
+              style: { fontSize: this.size }
+            }), 12, ['value'], 1)
+          ]), 16, null, 2)
+        }
+      })
+    `)
+    setTimeout(() => {
+      expect(getRoot(instance).children).toEqual([
+        { type: 'text', style: { fontSize: 100 }, attr: { value: 'Hello World' }}
+      ])
+      fireEvent(instance, '_root', 'click')
+      setTimeout(() => {
+        expect(getRoot(instance).children).toEqual([
+          { type: 'text', style: { fontSize: 200 }, attr: { value: 'Hello Vue' }}
+        ])
+        done()
+      }, 10)
+    }, 10)
+  })
 })
@@ -5,7 +5,22 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  App,
+  AppConfig,
+  AppPlugin,
+  MixinComponentInfo,
+  MixinPredicate,
+  MixinSource,
+  MixinOptionReport,
+  MixinReport,
+  Ref,
+  WritableComputedOptions,
+  EffectScope,
+  DeepReadonly,
+  SchedulerConfig,
+  SchedulerLoopReport,
+  SchedulerFlushInfo
 } from "./vue";
 
 export {
@@ -18,13 +33,19 @@ export {
   PropOptions,
   ComputedOptions,
   WatchHandler,
+  OnCleanup,
   WatchOptions,
   WatchOptionsWithHandler,
+  DebuggerEvent,
+  DebuggerOptions,
+  SetupContext,
+  EmitsOptions,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
 
 export {
+  InstalledPlugin,
   PluginFunction,
   PluginObject
 } from "./plugin";
@@ -77,11 +77,12 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  setup?(this: void, props: Props, ctx: SetupContext): Record<string, any> | ((createElement: CreateElement) => VNode) | Promise<Record<string, any>> | void;
 
   el?: Element | string;
   template?: string;
   // hack is for functional component type inference, should not be used in user code
-  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
+  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode | VNode[];
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -97,6 +98,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -105,6 +108,7 @@ export interface ComponentOptions<
 
   provide?: object | (() => object);
   inject?: InjectOptions;
+  emits?: EmitsOptions;
 
   model?: {
     prop?: string;
@@ -154,7 +158,11 @@ export interface PropOptions<T=any> {
   type?: PropType<T>;
   required?: boolean;
   default?: T | null | undefined | (() => T | null | undefined);
-  validator?(value: T): boolean;
+  validator?(value: T): boolean | string | { valid: boolean, message?: string };
+  oneOf?: any[];
+  arrayOf?: PropValidator<any>;
+  shape?: { [key: string]: PropValidator<any> };
+  coerce?(value: any): T;
 }
 
 export type RecordPropsDefinition<T> = {
@@ -163,17 +171,40 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
 }
 
-export type WatchHandler<T> = (val: T, oldVal: T) => void;
+export type OnCleanup = (cleanupFn: () => void) => void;
+export type WatchHandler<T> = (val: T, oldVal: T, onCleanup: OnCleanup) => void;
 
-export interface WatchOptions {
-  deep?: boolean;
+export interface WatchOptions extends DebuggerOptions {
+  deep?: boolean | number;
   immediate?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): Vue;
+}
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  key: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -204,3 +235,7 @@ export type InjectKey = string | symbol;
 export type InjectOptions = {
   [key: string]: InjectKey | { from?: InjectKey, default?: any }
 } | string[];
+
+export type EmitsOptions = {
+  [event: string]: ((...args: any[]) => boolean) | null
+} | string[];
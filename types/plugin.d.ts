@@ -4,5 +4,15 @@ export type PluginFunction<T> = (Vue: typeof _Vue, options?: T) => void;
 
 export interface PluginObject<T> {
   install: PluginFunction<T>;
+  uninstall?: PluginFunction<T>;
+  name?: string;
+  dependencies?: string[];
   [key: string]: any;
 }
+
+export interface InstalledPlugin {
+  plugin: PluginObject<any> | PluginFunction<any>;
+  name: string | null;
+  options: any;
+  args: any[];
+}
@@ -117,6 +117,40 @@ Vue.component('prop-with-primitive-default', {
   }
 });
 
+Vue.component('prop-with-typed-validation', {
+  props: {
+    size: {
+      type: String,
+      oneOf: ['small', 'large'],
+      validator: (value: string) => ({ valid: value.length < 10, message: 'size is too long' })
+    },
+    label: {
+      type: String,
+      validator: (value: string) => value.trim() === value || 'must not have surrounding spaces'
+    },
+    ids: {
+      type: Array as PropType<number[]>,
+      arrayOf: Number
+    },
+    user: {
+      type: Object as PropType<IUser>,
+      shape: {
+        foo: { type: String, required: true },
+        bar: Number
+      }
+    },
+    count: {
+      type: Number,
+      coerce: (value: any) => Number(value)
+    }
+  },
+  created(): void {
+    this.size.toUpperCase();
+    this.ids.map(id => id.toFixed());
+    this.count.toFixed();
+  }
+});
+
 Vue.component('component', {
   data() {
     this.$mount
@@ -168,6 +202,16 @@ Vue.component('component', {
         this.a = val
       },
       deep: true
+    },
+    'd': {
+      handler() {},
+      flush: 'post',
+      onTrack(e) {
+        e.effect
+      },
+      onTrigger(e) {
+        e.key
+      }
     }
   },
   el: "#app",
@@ -254,6 +298,15 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked (e) {
+    e.type === 'get'
+    e.key
+  },
+  renderTriggered (e) {
+    e.target
+    e.newValue
+    e.oldValue
+  },
 
   directives: {
     a: {
@@ -316,6 +369,57 @@ Vue.component('provide-inject', {
   }
 })
 
+Vue.component('fragment', {
+  render (h) {
+    return [h('li', 'a'), h('li', 'b')]
+  }
+})
+
+Vue.component('emits-array', {
+  emits: ['change', 'update:value']
+})
+
+Vue.component('emits-object', {
+  emits: {
+    click: null,
+    submit: (payload: { email: string }) => !!payload.email
+  },
+  methods: {
+    submit() {
+      this.$emit('submit', { email: 'foo@bar.com' })
+    }
+  }
+})
+
+Vue.component('setup-bindings', {
+  props: ['msg'],
+  setup(props, { attrs, slots, emit }) {
+    const count = Vue.ref(0)
+    Vue.onMounted(() => {
+      emit('mounted', attrs.id, slots.default)
+    })
+    Vue.onUnmounted(() => {})
+    return { count }
+  }
+})
+
+Vue.component('setup-async', {
+  async setup() {
+    const data = await Promise.resolve({ msg: 'hi' })
+    return { data }
+  }
+})
+
+Vue.component('setup-render', {
+  setup() {
+    const instance = Vue.getCurrentInstance()
+    if (instance) {
+      instance.proxy.$el
+    }
+    return h => h('div')
+  }
+})
+
 Vue.component('provide-function', {
   provide: () => ({
     foo: 1
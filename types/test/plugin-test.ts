@@ -1,5 +1,5 @@
 import Vue from "../index";
-import { PluginFunction, PluginObject } from "../index";
+import { PluginFunction, PluginObject, InstalledPlugin } from "../index";
 
 class Option {
   prefix: string = "";
@@ -18,3 +18,26 @@ const installer: PluginFunction<Option> = function(Vue, option) { }
 Vue.use(plugin, new Option);
 Vue.use(installer, new Option);
 Vue.use(installer, new Option, new Option, new Option);
+
+const router: PluginObject<Option> = {
+  name: "router",
+  install(Vue) {},
+  uninstall(Vue, option) {}
+};
+const store: PluginObject<Option> = {
+  name: "store",
+  dependencies: ["router"],
+  install(Vue) {}
+};
+Vue.use(router).use(store);
+const installed: InstalledPlugin[] = Vue.installedPlugins();
+const names: (string | null)[] = installed.map(p => p.name);
+Vue.unuse(store).unuse("router");
+
+const app = Vue.createApp();
+app.use({ name: "app-plugin", install(app) {}, uninstall(app) {} });
+app.unuse("app-plugin").installedPlugins();
+app.use(function (app) {
+  app.prototype.$legacy = app.observable({ count: 0 });
+  app.extend({ name: "legacy" });
+});
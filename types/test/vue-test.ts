@@ -43,7 +43,17 @@ class Test extends Vue {
       immediate: true,
       deep: false
     })();
-    this.$watch(() => this.a, (val: number) => {});
+    this.$watch(() => this.a, (val: number, oldVal, onCleanup) => {
+      const timer = setTimeout(() => {});
+      onCleanup(() => clearTimeout(timer));
+    });
+    this.$watch(["a", () => this.a], ([a, b], [oldA, oldB]) => {}, {
+      deep: 2
+    });
+    const offInvalidate = this.$onInvalidate("total", function () {
+      requestAnimationFrame(() => this.$recompute("total"));
+    });
+    offInvalidate();
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +85,13 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.proxyArrays = true;
+    config.proxyObjects = false;
+    config.scheduler.maxUpdateCount = 50;
+    config.scheduler.onInfiniteLoop = report => {
+      report.chain.forEach(entry => entry.component);
+    };
+    config.scheduler.onFlush = ({ duration, count }) => {};
   }
 
   static testMethods() {
@@ -214,6 +231,70 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+Vue.mixin({ created() {} }, ({ name, file }) => name === "Foo" || !!file)
+const mixinReport = Vue.inspectMixins({ name: "Foo", mixins: [{ methods: { save() {} } }] })
+mixinReport.conflicts.forEach(report => {
+  const names: (string | null)[] = report.sources.map(source => source.name);
+  const resolution: "override" | "merge" | "concat" | "custom" = report.resolution;
+})
+
+// isolated applications
+const app = Vue.createApp({
+  template: "<div>{{ msg }}</div>",
+  data: () => ({ msg: "hello" })
+})
+app.config.errorHandler = (err, vm, info) => {}
+app.config.globalProperties.$http = {}
+app
+  .use((app, options) => app.component("comp", { template: "<p/>" }), { a: 1 })
+  .use({ install: app => app.directive("focus", { inserted: el => el.focus() }) })
+  .mixin({ created() {} })
+  .provide("theme", "dark")
+app.mixin({ mounted() {} }, info => info.tag === "comp" || /Widget/.test(info.name || ""))
+const appComp = app.component("comp")
+const appRoot: Vue = app.mount("#app")
+app.unmount()
+
+// standalone reactivity API
+const state = Vue.reactive({ count: 0, items: new Map<string, number>() })
+state.count++
+const count = Vue.ref(0)
+count.value++
+const payload = Vue.shallowReactive({ rows: [{ id: 1 }] })
+payload.rows = []
+const view = Vue.readonly({ nested: { a: 1 } })
+const nestedA: number = view.nested.a
+const shallowView = Vue.shallowReadonly({ nested: { a: 1 } })
+shallowView.nested.a++
+const isViewReadonly: boolean = Vue.isReadonly(view) && Vue.isShallow(shallowView)
+const raw: { nested: { a: number } } = Vue.toRaw(shallowView)
+const double = Vue.computed(() => count.value * 2)
+const doubled: number = double.value
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (val: number) => { count.value = val }
+})
+writable.value = 2
+const unwrapped: number = Vue.unref(count)
+if (Vue.isRef(count)) {
+  count.value = 3
+}
+const stopEffect = Vue.watchEffect(() => {
+  state.items.get('a')
+})
+stopEffect()
+Vue.stop(double)
+
+const scope = Vue.effectScope()
+const scoped: number | undefined = scope.run(() => {
+  Vue.watchEffect(() => count.value)
+  Vue.onScopeDispose(() => {})
+  return 1
+})
+if (Vue.getCurrentScope() === scope && scope.active) {
+  scope.stop()
+}
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -5,15 +5,18 @@ import {
   FunctionalComponentOptions,
   WatchOptionsWithHandler,
   WatchHandler,
+  OnCleanup,
   DirectiveOptions,
   DirectiveFunction,
   RecordPropsDefinition,
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
+  DebuggerEvent,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
-import { PluginFunction, PluginObject } from "./plugin";
+import { PluginFunction, PluginObject, InstalledPlugin } from "./plugin";
 
 export interface CreateElement {
   (tag?: string | Component<any, any, any, any> | AsyncComponent<any, any, any, any> | (() => Component), children?: VNodeChildren): VNode;
@@ -44,14 +47,21 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, onCleanup: OnCleanup) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, onCleanup: OnCleanup) => void,
     options?: WatchOptions
   ): (() => void);
+  $watch(
+    expOrFn: Array<string | ((this: this) => any)>,
+    callback: (this: this, n: any[], o: any[], onCleanup: OnCleanup) => void,
+    options?: WatchOptions
+  ): (() => void);
+  $onInvalidate(key: string, callback: (this: this) => void): (() => void);
+  $recompute(key: string): any;
   $on(event: string | string[], callback: Function): this;
   $once(event: string | string[], callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
@@ -75,6 +85,125 @@ export interface VueConfiguration {
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
+  proxyArrays: boolean;
+  proxyObjects: boolean;
+  scheduler: SchedulerConfig;
+}
+
+export interface SchedulerConfig {
+  maxUpdateCount: number;
+  onInfiniteLoop: ((report: SchedulerLoopReport) => void) | null;
+  onFlush: ((info: SchedulerFlushInfo) => void) | null;
+}
+
+export interface SchedulerLoopReport {
+  maxUpdateCount: number;
+  chain: {
+    expression: string;
+    component: string | null;
+    key: any;
+  }[];
+}
+
+export interface SchedulerFlushInfo {
+  start: number;
+  duration: number;
+  count: number;
+}
+
+export interface Ref<T = any> {
+  value: T;
+}
+
+export type DeepReadonly<T> = T extends Function
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export interface MixinComponentInfo {
+  name: string | null;
+  file: string | null;
+  tag: string | null;
+}
+
+export type MixinPredicate = (info: MixinComponentInfo) => boolean;
+
+export interface MixinSource {
+  type: "global" | "scoped" | "extends" | "mixin" | "component";
+  name: string | null;
+  options: ComponentOptions<Vue>;
+}
+
+export interface MixinOptionReport {
+  key: string;
+  resolution: "override" | "merge" | "concat" | "custom";
+  strategy: Function | null;
+  sources: MixinSource[];
+}
+
+export interface MixinReport {
+  sources: MixinSource[];
+  options: MixinOptionReport[];
+  conflicts: MixinOptionReport[];
+}
+
+export interface AppConfig {
+  errorHandler: ((err: Error, vm: Vue, info: string) => void) | null;
+  warnHandler: ((msg: string, vm: Vue, trace: string) => void) | null;
+  silent: boolean;
+  keyCodes: { [key: string]: number | number[] };
+  ignoredElements: (string | RegExp)[];
+  optionMergeStrategies: any;
+  globalProperties: Record<string, any>;
+}
+
+export type AppPlugin =
+  | {
+      install(app: App, ...options: any[]): any;
+      uninstall?(app: App, ...options: any[]): any;
+      name?: string;
+      dependencies?: string[];
+    }
+  | ((app: App, ...options: any[]) => any);
+
+export interface App {
+  config: AppConfig;
+  use(plugin: AppPlugin, ...options: any[]): this;
+  unuse(plugin: AppPlugin | string): this;
+  installedPlugins(): InstalledPlugin[];
+  mixin(mixin: ComponentOptions<Vue>, predicate?: MixinPredicate): this;
+  inspectMixins(target: Vue | VueConstructor | ComponentOptions<Vue>): MixinReport;
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+  provide(key: string | symbol, value: any): this;
+  mount(el?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+
+  // constructor API for Vue 2 plugins, backed by the app's own constructor
+  readonly prototype: Record<string, any>;
+  readonly options: ComponentOptions<Vue>;
+  readonly version: string;
+  extend: VueConstructor['extend'];
+  set: VueConstructor['set'];
+  delete: VueConstructor['delete'];
+  nextTick: VueConstructor['nextTick'];
+  observable: VueConstructor['observable'];
+}
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
 }
 
 export interface VueConstructor<V extends Vue = Vue> {
@@ -113,7 +242,11 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   use<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): VueConstructor<V>;
   use(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): VueConstructor<V>;
-  mixin(mixin: VueConstructor | ComponentOptions<Vue>): VueConstructor<V>;
+  unuse(plugin: PluginObject<any> | PluginFunction<any> | string): VueConstructor<V>;
+  installedPlugins(): InstalledPlugin[];
+  mixin(mixin: VueConstructor | ComponentOptions<Vue>, predicate?: MixinPredicate): VueConstructor<V>;
+  inspectMixins(target: Vue | VueConstructor | ComponentOptions<Vue>): MixinReport;
+  createApp(rootOptions?: ComponentOptions<V>): App;
   compile(template: string): {
     render(createElement: typeof Vue.prototype.$createElement): VNode;
     staticRenderFns: (() => VNode)[];
@@ -121,6 +254,38 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(obj: T): T;
+  shallowReactive<T extends object>(obj: T): T;
+  readonly<T extends object>(obj: T): DeepReadonly<T>;
+  shallowReadonly<T extends object>(obj: T): Readonly<T>;
+  isReactive(value: any): boolean;
+  isReadonly(value: any): boolean;
+  isShallow(value: any): boolean;
+  toRaw<T>(observed: T): T;
+  ref<T>(value: T): Ref<T>;
+  isRef<T>(value: Ref<T> | unknown): value is Ref<T>;
+  unref<T>(value: T | Ref<T>): T;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): Readonly<Ref<T>>;
+  computed<T>(options: WritableComputedOptions<T>, debugOptions?: DebuggerOptions): Ref<T>;
+  watchEffect(effect: () => void, options?: DebuggerOptions): () => void;
+  stop(runner: (() => void) | Ref<any>): void;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+
+  getCurrentInstance(): { proxy: Vue } | null;
+  onBeforeMount(fn: () => void, target?: Vue): void;
+  onMounted(fn: () => void, target?: Vue): void;
+  onBeforeUpdate(fn: () => void, target?: Vue): void;
+  onUpdated(fn: () => void, target?: Vue): void;
+  onBeforeUnmount(fn: () => void, target?: Vue): void;
+  onUnmounted(fn: () => void, target?: Vue): void;
+  onActivated(fn: () => void, target?: Vue): void;
+  onDeactivated(fn: () => void, target?: Vue): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void, target?: Vue): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void, target?: Vue): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void, target?: Vue): void;
+
   config: VueConfiguration;
   version: string;
 }